@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// scripts/replay.js - re-price recorded fixtures with the current pricing engine and report what moved
+//
+// Usage: node scripts/replay.js [--dir <fixtures dir>] [--json] [fixture name ...]
+// Record fixtures first with FIXTURE_MODE=record (name them with the X-Fixture-Name header).
+// Exits 1 when any fixture's rates changed, so it can gate a pricing change in CI.
+const path = require('path');
+
+const args = process.argv.slice(2);
+const dirIndex = args.indexOf('--dir');
+const asJson = args.includes('--json');
+const names = args.filter((arg, i) => !arg.startsWith('--') && (dirIndex === -1 || i !== dirIndex + 1));
+
+if (dirIndex !== -1 && (!args[dirIndex + 1] || args[dirIndex + 1].startsWith('--'))) {
+  process.stdout.write('--dir needs a directory\n');
+  process.exit(1);
+}
+
+// Load the pricing engine in-process: memory storage, no recording, and quiet - only the report is printed
+if (dirIndex !== -1) process.env.FIXTURES_DIR = path.resolve(args[dirIndex + 1]);
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+console.log = () => {};
+const { readFixtures, compareFixture } = require('../server');
+
+const print = line => process.stdout.write(line + '\n');
+
+const recorded = readFixtures();
+const missing = names.filter(name => !recorded.some(fixture => fixture.name === name));
+if (missing.length > 0) {
+  print(`No fixture(s) named ${missing.join(', ')}`);
+  process.exit(1);
+}
+
+const fixtures = recorded.filter(fixture => names.length === 0 || names.includes(fixture.name));
+if (fixtures.length === 0) {
+  print('No fixtures recorded');
+  process.exit(0);
+}
+
+const results = fixtures.map(compareFixture);
+const changed = results.filter(result => !result.matches);
+
+if (asJson) {
+  print(JSON.stringify({ fixtures: results.length, changed: changed.length, results }, null, 2));
+} else {
+  results.forEach(result => {
+    print(`${result.matches ? '✅' : '❌'} ${result.name} (${result.file})`);
+    result.diffs.forEach(diff => {
+      if (diff.change === 'changed') {
+        print(`   ${diff.service_id}: changed`);
+        diff.fields.forEach(field => print(`      ${field.field}: ${field.recorded} → ${field.current}`));
+      } else {
+        print(`   ${diff.service_id}: ${diff.change}${diff.message ? ` (${diff.message})` : ''}`);
+      }
+    });
+  });
+  print(`\n${results.length - changed.length}/${results.length} fixture(s) unchanged`);
+}
+
+process.exit(changed.length > 0 ? 1 : 0);
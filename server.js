@@ -2,14 +2,72 @@
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const yaml = require('js-yaml');
 const app = express();
 
+// Log output: 'text' (the console lines below) or 'json' (one object per line, tagged with the request ID)
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase();
+
+// Request ID of the HTTP request being handled - follows timers and promises started while handling it
+const requestContext = new AsyncLocalStorage();
+
+// JSON logging: console.log/info/warn/error write { time, level, request_id, msg, data } lines.
+// Leading emoji are dropped from msg; extra arguments go in data (errors keep their stack)
+function installJsonLogging() {
+  const toJson = value => JSON.stringify(value, (key, item) => (
+    item instanceof Error ? { name: item.name, message: item.message, stack: item.stack } : item
+  ));
+  const write = (level, stream) => (first, ...rest) => {
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      request_id: requestContext.getStore()?.requestId || null,
+      msg: typeof first === 'string' ? first.replace(/^[\s\p{Extended_Pictographic}\uFE0F]+/u, '').trim() : util.inspect(first)
+    };
+    if (rest.length > 0) entry.data = rest.length === 1 ? rest[0] : rest;
+    stream.write(toJson(entry) + '\n');
+  };
+  console.log = write('info', process.stdout);
+  console.info = write('info', process.stdout);
+  console.warn = write('warn', process.stderr);
+  console.error = write('error', process.stderr);
+}
+
+if (LOG_FORMAT === 'json') installJsonLogging();
+
+// Browser origins allowed to call the API (comma-separated, '*' for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim());
+
+// Request ID: the caller's X-Request-Id when it looks sane, otherwise a new one - echoed back on the response
+app.use((req, res, next) => {
+  const header = req.get('X-Request-Id');
+  req.id = header && /^[\w.:-]{1,128}$/.test(header) ? header : uuidv4();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+});
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
 app.use(express.json());
 
 // Request logging
 app.use((req, res, next) => {
+  if (LOG_FORMAT === 'json') {
+    const started = Date.now();
+    console.log(`${req.method} ${req.path}`, { method: req.method, path: req.path, query: req.query, body: req.body });
+    res.on('finish', AsyncResource.bind(() => {
+      console.log(`${req.method} ${req.path} ${res.statusCode}`, { status: res.statusCode, duration_ms: Date.now() - started });
+    }));
+    return next();
+  }
+  
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   if (req.body && Object.keys(req.body).length > 0) {
     console.log('Request Body:', JSON.stringify(req.body, null, 2));
@@ -17,111 +75,475 @@ app.use((req, res, next) => {
   next();
 });
 
-// In-memory storage for rate requests
-const rateRequests = new Map();
+// Development mode (NODE_ENV=development) checks responses against the OpenAPI document
+const RESPONSE_VALIDATION = process.env.NODE_ENV === 'development';
+
+app.use((req, res, next) => {
+  if (!RESPONSE_VALIDATION) return next();
+  const json = res.json.bind(res);
+  res.json = body => {
+    checkResponseContract(req, res, body);
+    return json(body);
+  };
+  next();
+});
+
+// Storage backend for rate requests, shipments and tracking numbers: 'memory' or 'file'
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'memory').toLowerCase();
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, 'storage');
+
+// Rate requests are evicted this long after they're created - but never before their quotes' valid_until
+const RATE_REQUEST_TTL_HOURS = parseFloat(process.env.RATE_REQUEST_TTL_HOURS) || 24;
+
+// Evicted rate IDs answer 410 (expired) instead of 404 for this long
+const EXPIRED_RATE_RETENTION_DAYS = parseFloat(process.env.EXPIRED_RATE_RETENTION_DAYS) || 30;
+
+// How often expired rate requests are swept out of storage
+const STORAGE_SWEEP_INTERVAL_MS = parseInt(process.env.STORAGE_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// In-memory collection - everything is lost on restart
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    get: id => records.get(id),
+    has: id => records.has(id),
+    set: (id, record) => { records.set(id, record); },
+    delete: id => { records.delete(id); },
+    values: () => records.values()
+  };
+}
+
+// File-backed collection: one JSON file per record in STORAGE_DIR/<name>, read once at startup.
+// Each write goes to a temp file that is fsynced and renamed over the record, so a crash
+// mid-write leaves the previous version intact rather than a truncated file
+function createFileStore(name) {
+  const dir = path.join(STORAGE_DIR, name);
+  const fileFor = id => path.join(dir, `${encodeURIComponent(id)}.json`);
+  const records = new Map();
+  
+  fs.mkdirSync(dir, { recursive: true });
+  fs.readdirSync(dir).forEach(file => {
+    const filePath = path.join(dir, file);
+    if (file.endsWith('.tmp')) {
+      fs.rmSync(filePath, { force: true }); // left behind by an interrupted write
+      return;
+    }
+    if (!file.endsWith('.json')) return;
+    
+    try {
+      records.set(decodeURIComponent(file.slice(0, -5)), JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (err) {
+      console.error(`❌ Skipping unreadable ${name} record ${file}: ${err.message}`);
+    }
+  });
+  
+  return {
+    get: id => records.get(id),
+    has: id => records.has(id),
+    set: (id, record) => {
+      const tempPath = `${fileFor(id)}.${process.pid}.tmp`;
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(record));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, fileFor(id));
+      records.set(id, record);
+    },
+    delete: id => {
+      fs.rmSync(fileFor(id), { force: true });
+      records.delete(id);
+    },
+    values: () => records.values()
+  };
+}
+
+// Open a named collection on the configured backend.
+// Records are plain JSON - after changing a stored record, set() it again to persist the change
+function createStore(name) {
+  if (STORAGE_BACKEND === 'memory') return createMemoryStore();
+  if (STORAGE_BACKEND === 'file') return createFileStore(name);
+  throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected memory or file)`);
+}
+
+// Rate requests, plus tombstones for the ones evicted after expiry
+const rateRequests = createStore('rate-requests');
+const expiredRateRequests = createStore('expired-rate-requests');
+
+// Booked shipments
+const shipments = createStore('shipments');
+
+// Quotes can be booked for this many days after the rate request
+const RATE_VALIDITY_DAYS = parseInt(process.env.RATE_VALIDITY_DAYS, 10) || 7;
+
+// Tracking timeline speed-up: 1 = real time, 1440 = one transit day per minute
+const TRACKING_TIME_ACCELERATION = parseFloat(process.env.TRACKING_TIME_ACCELERATION) || 1;
+
+// Issued tracking numbers (from labels and bookings) for tracking lookups
+const trackingNumbers = createStore('tracking-numbers');
+
+// Webhook subscriptions and their delivery log
+const webhooks = createStore('webhooks');
+const webhookDeliveries = createStore('webhook-deliveries');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['rate.completed'];
+
+// Strict validation rejects fields the schema doesn't know (X-Mock-Strict-Validation overrides per request)
+const STRICT_VALIDATION = process.env.STRICT_VALIDATION === 'true';
+
+// Webhook retry policy: attempt n waits WEBHOOK_RETRY_BASE_MS * 2^(n-1) after a failure
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+
+// Deliveries kept per webhook in the delivery log - older ones are dropped
+const WEBHOOK_DELIVERY_HISTORY = parseInt(process.env.WEBHOOK_DELIVERY_HISTORY, 10) || 50;
+
+// Directory holding the JSON configuration files
+const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, 'config');
+
+// Read a JSON config file from CONFIG_DIR, falling back to built-in defaults when it's missing
+function loadJsonConfig(fileName, fallback) {
+  const filePath = path.join(CONFIG_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    console.log(`⚙️  ${fileName} not found in ${CONFIG_DIR}, using built-in defaults`);
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Named ship-from warehouses - DEFAULT_ORIGIN picks the one used when a request has no origin
+const originConfig = loadJsonConfig('origins.json', {
+  default: 'concord',
+  origins: {
+    concord: {
+      name: 'Designer Deck',
+      address_line_1: '101 Planchet Rd. Unit #6-7',
+      city: 'Concord',
+      region: 'ON',
+      postal_code: 'L4K 2C6',
+      country: 'CA'
+    }
+  }
+});
+const DEFAULT_ORIGIN_ID = process.env.DEFAULT_ORIGIN || originConfig.default;
+const DEFAULT_ORIGIN = originConfig.origins[DEFAULT_ORIGIN_ID];
+if (!DEFAULT_ORIGIN) {
+  throw new Error(`Default origin "${DEFAULT_ORIGIN_ID}" is not defined in origins.json`);
+}
+
+// Duty rates, de minimis thresholds and brokerage fees for cross-border lanes
+const customsConfig = loadJsonConfig('customs.json', {
+  duty_rates: { default: 0.05, by_hs_chapter: {} },
+  duty_free_origins: {},
+  de_minimis: { default: { currency: 'CAD', value: 0 } },
+  brokerage_fees: {}
+});
+
+// Canadian sales taxes by destination province (place of supply)
+const taxConfig = loadJsonConfig('taxes.json', {
+  ON: [{ type: 'hst', rate: 0.13 }]
+});
+
+// Exchange rates from CAD (1 CAD = n units) for declared values and quoting in other currencies
+const exchangeRates = loadJsonConfig('exchange-rates.json', { base: 'CAD', rates: { CAD: 1, USD: 0.73 } });
+
+// Label page sizes in PDF points (72 per inch)
+const LABEL_SIZES = {
+  '4x6': { width: 288, height: 432 },
+  'letter': { width: 612, height: 792 }
+};
 
-// ENHANCED: Weight-based rate calculation with hardcoded Concord, ON origin
-function calculateWeightBasedRates(packagingType, destination, packagingProperties) {
-  console.log('🔍 Calculating weight-based rates from Concord, ON...');
+// ENHANCED: Weight-based rate calculation for an origin → destination lane
+function calculateWeightBasedRates(packagingType, origin, destination, packagingProperties, accessorials = [], discounts = {}) {
+  console.log(`🔍 Calculating weight-based rates from ${origin.city}, ${normalizeRegion(origin.region)}...`);
   
   // Extract total weight and dimensions from packaging properties
   const shipmentData = analyzeShipmentData(packagingProperties, packagingType);
   console.log('📊 Shipment Analysis:', shipmentData);
   
-  // Calculate distance factor from hardcoded Concord, ON origin to destination
-  const distanceFactor = calculateDistanceFactor(destination);
+  // Locate the origin → destination lane (carrier zones are derived from its distance)
+  const lane = calculateLane(origin, destination);
   
-  if (packagingType === 'package') {
-    return generateParcelRates(shipmentData, distanceFactor, destination);
-  } else {
-    return generateLTLRates(shipmentData, distanceFactor, destination);
+  const rates = packagingType === 'package'
+    ? generateParcelRates(shipmentData, lane, destination)
+    : generateLTLRates(shipmentData, lane, destination);
+  
+  // Drop carriers that don't serve the destination country
+  const destCountry = getCountry(destination);
+  const inCountry = rates.filter(rate => {
+    const countries = getCarrierInfo(rate.service_id.toLowerCase()).countries;
+    return !countries || countries.includes(destCountry);
+  });
+  
+  // Price requested accessorials, dropping carriers that can't provide all of them
+  const served = applyAccessorials(inCountry, accessorials);
+  
+  const discounted = applyAccountDiscounts(served, discounts);
+  
+  // Sales tax is on the freight charges only - duties and brokerage are added after it
+  const taxed = applySalesTaxes(discounted, destination);
+  
+  return isCrossBorder(origin, destination)
+    ? applyCustomsCharges(taxed, packagingType, packagingProperties, getCountry(origin), destCountry)
+    : taxed;
+}
+
+// Add GST/HST/PST/QST lines for Canadian destinations on base plus surcharges (exports are zero-rated)
+function applySalesTaxes(rates, destination) {
+  const province = normalizeRegion(destination.region);
+  const taxes = getCountry(destination) === 'CA' ? taxConfig[province] || [] : [];
+  
+  if (taxes.length === 0) {
+    return rates;
+  }
+  
+  return rates.map(rate => {
+    const taxable = parseInt(rate.total.value);
+    const lines = taxes.map(tax => ({
+      type: tax.type,
+      rate: tax.rate,
+      amount: { currency: rate.total.currency, value: Math.round(taxable * tax.rate).toString() }
+    }));
+    const taxTotal = lines.reduce((sum, line) => sum + parseInt(line.amount.value), 0);
+    
+    return {
+      ...rate,
+      total: { currency: rate.total.currency, value: (parseInt(rate.total.value) + taxTotal).toString() },
+      taxes: [...rate.taxes, ...lines]
+    };
+  });
+}
+
+// Accessorial services a rate request can ask for
+const ACCESSORIAL_TYPES = [
+  'pickup_liftgate', 'delivery_liftgate', 'inside_delivery', 'appointment',
+  'limited_access', 'dangerous_goods', 'signature_required'
+];
+
+// Accessorials for a request: details.accessorials plus Freightcom's tailgate_required flags
+function getRequestedAccessorials(details) {
+  const requested = new Set(details.accessorials || []);
+  if (details.origin?.tailgate_required) requested.add('pickup_liftgate');
+  if (details.destination?.tailgate_required) requested.add('delivery_liftgate');
+  return [...requested];
+}
+
+// Add one surcharge line per accessorial; carriers missing any of them are excluded
+function applyAccessorials(rates, accessorials) {
+  if (accessorials.length === 0) {
+    return rates;
+  }
+  
+  return rates.filter(rate => {
+    const prices = getCarrierInfo(rate.service_id).accessorials;
+    const unsupported = accessorials.filter(type => prices[type] === undefined);
+    if (unsupported.length > 0) {
+      console.log(`🚫 ${rate.carrier_name} ${rate.service_name} excluded - no ${unsupported.join(', ')}`);
+    }
+    return unsupported.length === 0;
+  }).map(rate => {
+    const prices = getCarrierInfo(rate.service_id).accessorials;
+    const lines = accessorials.map(type => ({ type: type, amount: { currency: 'CAD', value: prices[type].toString() } }));
+    const total = parseInt(rate.total.value) + accessorials.reduce((sum, type) => sum + prices[type], 0);
+    
+    return {
+      ...rate,
+      total: { currency: rate.total.currency, value: total.toString() },
+      surcharges: [...rate.surcharges, ...lines]
+    };
+  }).sort((a, b) => parseInt(a.total.value) - parseInt(b.total.value));
+}
+
+// Negotiated account discounts off the base freight charge, as a negative line so the parts still add up
+function applyAccountDiscounts(rates, discounts) {
+  return rates.map(rate => {
+    const carrierId = getCarrierInfo(rate.service_id).carrierId;
+    const discount = discounts[carrierId] ?? discounts.default ?? 0;
+    const amount = Math.round(parseInt(rate.base.value) * discount);
+    if (amount === 0) return rate;
+    
+    return {
+      ...rate,
+      total: { currency: rate.total.currency, value: (parseInt(rate.total.value) - amount).toString() },
+      surcharges: [...rate.surcharges, { type: 'account_discount', rate: discount, amount: { currency: 'CAD', value: (-amount).toString() } }]
+    };
+  }).sort((a, b) => parseInt(a.total.value) - parseInt(b.total.value));
+}
+
+// Two-letter country code of an address (Canada when not given)
+function getCountry(address) {
+  return (address.country || 'CA').toUpperCase();
+}
+
+// Shipments leaving the origin country need customs data and attract duties
+function isCrossBorder(origin, destination) {
+  return getCountry(origin) !== getCountry(destination);
+}
+
+// Convert an amount in major units between currencies in the exchange-rate table
+function convertCurrency(value, from, to) {
+  return value / exchangeRates.rates[from] * exchangeRates.rates[to];
+}
+
+// Declared value of one unit in CAD - accepts { currency, value } or a plain CAD number
+function getDeclaredValueCAD(item) {
+  const declared = item.declared_value;
+  if (declared && typeof declared === 'object') {
+    return convertCurrency(Number(declared.value), (declared.currency || 'CAD').toUpperCase(), 'CAD');
+  }
+  return Number(declared || 0);
+}
+
+// Estimated duties in CAD cents: value × duty rate by HS chapter, waived under de minimis
+// or for origins covered by a trade agreement with the destination (e.g. CUSMA)
+function estimateDuties(items, destCountry) {
+  const dutyFreeOrigins = customsConfig.duty_free_origins[destCountry] || [];
+  const threshold = customsConfig.de_minimis[destCountry] || customsConfig.de_minimis.default;
+  const totalValue = items.reduce((sum, item) => sum + getDeclaredValueCAD(item) * (item.quantity || 1), 0);
+  
+  if (totalValue <= convertCurrency(threshold.value, threshold.currency, 'CAD')) {
+    return 0;
   }
+  
+  return Math.round(items.reduce((sum, item) => {
+    if (dutyFreeOrigins.includes((item.country_of_origin || '').toUpperCase())) return sum;
+    const chapter = String(item.hs_code).replace(/\D/g, '').slice(0, 2);
+    const rate = customsConfig.duty_rates.by_hs_chapter[chapter] ?? customsConfig.duty_rates.default;
+    return sum + getDeclaredValueCAD(item) * (item.quantity || 1) * rate * 100;
+  }, 0));
+}
+
+// Add estimated duties and carrier brokerage to cross-border rates
+function applyCustomsCharges(rates, packagingType, packagingProperties, originCountry, destCountry) {
+  // Built pallets (optimize mode) carry the packages they hold, which are what gets declared
+  const items = (packagingType === 'package' || packagingProperties.packages ? packagingProperties.packages : packagingProperties.pallets) || [];
+  const duties = estimateDuties(items, destCountry);
+  console.log(`🛃 Cross-border ${originCountry} → ${destCountry}: estimated duties $${(duties/100).toFixed(2)}`);
+  
+  return rates.map(rate => {
+    const brokerage = customsConfig.brokerage_fees[getCarrierInfo(rate.service_id.toLowerCase()).carrierId] || 0;
+    const total = parseInt(rate.total.value) + duties + brokerage;
+    
+    return {
+      ...rate,
+      total: { currency: rate.total.currency, value: total.toString() },
+      surcharges: [
+        ...rate.surcharges,
+        ...(duties > 0 ? [{ type: 'duties', amount: { currency: 'CAD', value: duties.toString() } }] : []),
+        ...(brokerage > 0 ? [{ type: 'brokerage', amount: { currency: 'CAD', value: brokerage.toString() } }] : [])
+      ]
+    };
+  }).sort((a, b) => parseInt(a.total.value) - parseInt(b.total.value));
+}
+
+// Re-express a CAD rate in another currency - total is re-summed from the converted parts
+function convertRateCurrency(rate, currency) {
+  if (currency === 'CAD') return rate;
+  
+  const convert = amount => ({
+    currency: currency,
+    value: Math.round(convertCurrency(parseInt(amount.value), amount.currency, currency)).toString()
+  });
+  const base = convert(rate.base);
+  const surcharges = rate.surcharges.map(surcharge => ({ ...surcharge, amount: convert(surcharge.amount) }));
+  const taxes = rate.taxes.map(tax => ({ ...tax, amount: convert(tax.amount) }));
+  const total = [base, ...surcharges.map(s => s.amount), ...taxes.map(t => t.amount)]
+    .reduce((sum, amount) => sum + parseInt(amount.value), 0);
+  
+  return {
+    ...rate,
+    total: { currency: currency, value: total.toString() },
+    base: base,
+    surcharges: surcharges,
+    taxes: taxes,
+    exchange_rate: { from: 'CAD', to: currency, rate: convertCurrency(1, 'CAD', currency) }
+  };
+}
+
+// Field-level customs errors for a cross-border request (empty when everything is present)
+function validateCustomsData(details, origin) {
+  const errors = {};
+  const destination = details.destination.address;
+  if (!isCrossBorder(origin, destination)) return errors;
+  
+  const key = details.packaging_type === 'package' ? 'packages' : 'pallets';
+  const items = details.packaging_properties?.[key] || [];
+  
+  items.forEach((item, i) => {
+    const field = `details.packaging_properties.${key}[${i}]`;
+    
+    if (!item.hs_code) {
+      errors[`${field}.hs_code`] = 'is required for cross-border shipments';
+    } else if (!/^\d{4}\.?\d{2}(\.?\d{2}){0,2}$/.test(String(item.hs_code))) {
+      errors[`${field}.hs_code`] = 'must be a 6-10 digit HS code (e.g. 4418.99)';
+    }
+    
+    const declared = item.declared_value;
+    const value = declared && typeof declared === 'object' ? declared.value : declared;
+    if (value === undefined || value === null || value === '') {
+      errors[`${field}.declared_value`] = 'is required for cross-border shipments';
+    } else if (!(Number(value) > 0)) {
+      errors[`${field}.declared_value`] = 'must be greater than 0';
+    } else if (declared && typeof declared === 'object' && !exchangeRates.rates[(declared.currency || 'CAD').toUpperCase()]) {
+      errors[`${field}.declared_value.currency`] = `must be one of ${Object.keys(exchangeRates.rates).join(', ')}`;
+    }
+    
+    if (!item.country_of_origin) {
+      errors[`${field}.country_of_origin`] = 'is required for cross-border shipments';
+    } else if (!/^[A-Za-z]{2}$/.test(item.country_of_origin)) {
+      errors[`${field}.country_of_origin`] = 'must be a two-letter country code';
+    }
+  });
+  
+  return errors;
+}
+
+// Unit conversions to the pounds and inches every price is worked out in
+const WEIGHT_UNITS = { lb: 1, kg: 2.20462262 }; // pounds per unit
+const LENGTH_UNITS = { in: 1, ft: 12, cm: 1 / 2.54 }; // inches per unit
+const DIM_DIVISOR_UNITS = { 'in3/lb': 1, 'cm3/kg': 1 / (2.54 ** 3 * WEIGHT_UNITS.kg) }; // in³/lb per unit
+
+// Weight of one piece in pounds
+function getWeightInPounds(measurements) {
+  return measurements.weight.value * WEIGHT_UNITS[measurements.weight.unit];
 }
 
-// Analyze shipment data from packaging properties
+// Dimensions of one piece in inches
+function getDimensionsInInches(measurements) {
+  const cuboid = measurements.cuboid;
+  const scale = LENGTH_UNITS[cuboid.unit];
+  return { l: cuboid.l * scale, w: cuboid.w * scale, h: cuboid.h * scale };
+}
+
+// Analyze shipment data from packaging properties - weights in pounds, volumes in cubic feet
 function analyzeShipmentData(packagingProperties, packagingType) {
   let totalWeight = 0;
   let totalVolume = 0; // cubic feet
   let itemCount = 0;
-  let maxDimension = 0;
-  
-  if (packagingType === 'package' && packagingProperties.packages) {
-    packagingProperties.packages.forEach(pkg => {
-      const weight = pkg.measurements?.weight?.value || 1;
-      const quantity = pkg.quantity || 1; // Account for quantity!
-      const cuboid = pkg.measurements?.cuboid || {};
-      
-      totalWeight += weight * quantity; // Multiply by quantity
-      itemCount += quantity;
-      
-      // Use volume directly if available, otherwise calculate from dimensions
-      let volume;
-      if (pkg.volume) {
-        volume = pkg.volume; // Use volume directly from Odoo
-      } else {
-        // Fallback: calculate from dimensions
-        let l = cuboid.l || 12;
-        let w = cuboid.w || 8;
-        let h = cuboid.h || 6;
-        
-        if (cuboid.unit === 'in') {
-          l /= 12; w /= 12; h /= 12;
-        }
-        
-        volume = l * w * h;
-      }
-      
-      totalVolume += volume * quantity; // Multiply volume by quantity too
-      maxDimension = Math.max(maxDimension, cuboid.l || 12, cuboid.w || 8, cuboid.h || 6);
-    });
-  } else if (packagingType === 'pallet' && packagingProperties.pallets) {
-    packagingProperties.pallets.forEach(pallet => {
-      const weight = pallet.measurements?.weight?.value || 50;
-      const quantity = pallet.quantity || 1; // Account for quantity!
-      const cuboid = pallet.measurements?.cuboid || {};
-      
-      const totalPalletWeight = weight; // Weight already includes quantity from Odoo
-      totalWeight += totalPalletWeight;
-      itemCount += quantity; // Count actual items
-      
-      // Use volume directly if available, otherwise calculate from dimensions  
-      let volume;
-      if (pallet.volume) {
-        volume = pallet.volume; // Use volume directly from Odoo
-      } else {
-        // Calculate from dimensions - CONVERT INCHES TO FEET
-        let l = cuboid.l || 4;
-        let w = cuboid.w || 4;
-        let h = cuboid.h || 4;
-        
-        // Check if dimensions are in inches (for tiles) and convert to feet
-        if (cuboid.unit === 'in' || l > 12) { // Assume inches if large numbers or specified
-          l = l / 12;  // Convert inches to feet
-          w = w / 12;  // Convert inches to feet  
-          h = h / 12;  // Convert inches to feet
-        }
-        
-        volume = l * w * h; // Volume in cubic feet
-      }
-      
-      const totalPalletVolume = volume * quantity; // Multiply volume by quantity too
-      totalVolume += totalPalletVolume;
-      maxDimension = Math.max(maxDimension, cuboid.l || 4, cuboid.w || 4, cuboid.h || 4);
-    });
-  }
+  let maxDimension = 0; // inches
   
-  // Calculate dimensional weight (for packages)
-  const dimensionalWeight = packagingType === 'package' 
-    ? (totalVolume * 166) // 166 lbs per cubic foot (industry standard)
-    : totalWeight; // LTL uses actual weight
-  
-  // Billable weight is higher of actual vs dimensional
-  const billableWeight = Math.max(totalWeight, dimensionalWeight);
+  const pieces = packagingType === 'package' ? packagingProperties.packages : packagingProperties.pallets;
+  (pieces || []).forEach(piece => {
+    const quantity = piece.quantity || 1; // Account for quantity!
+    const dimensions = getDimensionsInInches(piece.measurements);
+    
+    // Package weights are per box; pallet weights already include quantity from Odoo
+    const weight = getWeightInPounds(piece.measurements);
+    totalWeight += packagingType === 'package' ? weight * quantity : weight;
+    itemCount += quantity;
+    
+    // Odoo's volume is per piece in cubic feet; otherwise work it out from the dimensions
+    const volume = piece.volume || dimensions.l * dimensions.w * dimensions.h / 1728;
+    totalVolume += volume * quantity; // Multiply volume by quantity too
+    maxDimension = Math.max(maxDimension, dimensions.l, dimensions.w, dimensions.h);
+  });
   
   return {
     actualWeight: totalWeight,
-    dimensionalWeight: dimensionalWeight,
-    billableWeight: billableWeight,
     totalVolume: totalVolume,
     itemCount: itemCount,
     maxDimension: maxDimension,
@@ -129,128 +551,281 @@ function analyzeShipmentData(packagingProperties, packagingType) {
   };
 }
 
-// Calculate distance factor based on destination (from hardcoded Concord, ON origin)
-function calculateDistanceFactor(destination) {
-  const destProvince = destination.region?.toLowerCase() || '';
-  const destCity = destination.city?.toLowerCase() || '';
-  
-  // Hardcoded origin: Concord, Ontario (Designer Deck warehouse)
-  // 101 Planchet Rd. Unit #6-7, Concord, Ontario, L4K 2C6
-  console.log(`📍 Calculating distance from Concord, ON to ${destCity}, ${destProvince.toUpperCase()}`);
-  
-  // Distance multipliers based on PROVINCE/STATE (primary method)
-  const provinceFactors = {
-    // Canadian Provinces
-    'ontario': 1.0,                    // Home province - base rate
-    'quebec': 2.5,                     // 2.5x as requested
-    'british columbia': 5.0,           // 5x as requested (Vancouver province)
-    'alberta': 2.7,                    // Western Canada
-    'saskatchewan': 2.4,               // Prairie province
-    'manitoba': 2.2,                   // Prairie province
-    'nova scotia': 1.9,                // Maritime
-    'new brunswick': 1.7,              // Maritime
-    'prince edward island': 2.0,       // Maritime island
-    'newfoundland and labrador': 2.3,  // Far east
-    'northwest territories': 4.1,      // Northern territory
-    'nunavut': 5.1,                    // Northern territory
-    'yukon': 4.6,                      // Northern territory
-    
-    // Alternative spellings/abbreviations
-    'on': 1.0,     // Ontario
-    'qc': 2.5,     // Quebec  
-    'bc': 5.0,     // British Columbia
-    'ab': 2.7,     // Alberta
-    'sk': 2.4,     // Saskatchewan
-    'mb': 2.2,     // Manitoba
-    'ns': 1.9,     // Nova Scotia
-    'nb': 1.7,     // New Brunswick
-    'pe': 2.0,     // Prince Edward Island
-    'nl': 2.3,     // Newfoundland and Labrador
-    'nt': 4.1,     // Northwest Territories
-    'nu': 5.1,     // Nunavut
-    'yt': 4.6      // Yukon
-  };
-  
-  // First try to get factor by province/state
-  let factor = provinceFactors[destProvince];
-  
-  // Special handling for major cities within Ontario (more granular pricing)
-  if (destProvince === 'ontario' || destProvince === 'on') {
-    const ontarioCityFactors = {
-      // Greater Toronto Area (local delivery)
-      'concord': 0.8,        // Same city - cheapest
-      'toronto': 0.9,        // Very close - GTA
-      'mississauga': 0.9,    // GTA area
-      'brampton': 0.8,       // Very close neighbor
-      'vaughan': 0.8,        // Adjacent city
-      'richmond hill': 0.8,  // Adjacent city
-      'markham': 0.9,        // GTA area
-      'scarborough': 1.0,    // GTA outer area
-      'etobicoke': 0.9,      // GTA area
-      'north york': 0.9,     // GTA area
-      
-      // Other Ontario cities
-      'ottawa': 2.0,         // 2x as requested (even though in same province)
-      'hamilton': 1.0,       // Reasonable distance from GTA
-      'london': 1.2,         // Southwestern Ontario
-      'kitchener': 1.1,      // Waterloo region
-      'windsor': 1.4,        // Far southwestern Ontario
-      'kingston': 1.1,       // Eastern Ontario
-      'sudbury': 1.3,        // Northern Ontario
-      'thunder bay': 1.6     // Far northern Ontario
-    };
-    
-    // Use city-specific factor for Ontario if available
-    if (ontarioCityFactors[destCity]) {
-      factor = ontarioCityFactors[destCity];
-      console.log(`📍 Using Ontario city-specific rate for ${destCity}: ${factor}x`);
+// Dimensional weight in pounds for a service's divisor ({ unit: 'in3/lb' | 'cm3/kg', value })
+function getDimensionalWeight(shipmentData, divisor) {
+  return shipmentData.totalVolume * 1728 / (divisor.value * DIM_DIVISOR_UNITS[divisor.unit]);
+}
+
+// The normalized measurements a rate was priced on
+function getMeasurementsUsed(shipmentData, service) {
+  const round = value => Math.round(value * 100) / 100;
+  const dimensionalWeight = service.mode === 'parcel' ? getDimensionalWeight(shipmentData, service.dim_divisor) : null;
+  return {
+    actual_weight: { unit: 'lb', value: round(shipmentData.actualWeight) },
+    dimensional_weight: dimensionalWeight === null ? null : { unit: 'lb', value: round(dimensionalWeight), divisor: service.dim_divisor },
+    billable_weight: { unit: 'lb', value: round(Math.max(shipmentData.actualWeight, dimensionalWeight || 0)) },
+    volume: { unit: 'ft3', value: round(shipmentData.totalVolume) },
+    density: { unit: 'lb/ft3', value: round(shipmentData.density) },
+    freight_class: service.mode === 'ltl' ? calculateFreightClass(shipmentData.density) : null
+  };
+}
+
+// Pallet building limits for optimize mode: standard 48x40 pallet, loaded height includes the deck
+const PALLET_FOOTPRINT = { l: 48, w: 40 }; // inches
+const PALLET_DECK_HEIGHT = 6; // inches
+const PALLET_MAX_HEIGHT = parseInt(process.env.PALLET_MAX_HEIGHT_IN, 10) || 72; // inches
+const PALLET_MAX_WEIGHT = parseInt(process.env.PALLET_MAX_WEIGHT_LB, 10) || 2000; // lbs including the pallet
+const PALLET_TARE_WEIGHT = 50; // lbs
+const PALLET_FILL_EFFICIENCY = 0.85; // share of the load space boxes actually fill
+
+// Box dimensions in inches, largest first
+function getBoxDimensions(pkg) {
+  const { l, w, h } = getDimensionsInInches(pkg.measurements);
+  return [l, w, h].sort((a, b) => b - a);
+}
+
+// A box fits if some orientation sits inside the footprint and under the height limit
+function fitsOnPallet(pkg) {
+  const [a, b, c] = getBoxDimensions(pkg);
+  const loadHeight = PALLET_MAX_HEIGHT - PALLET_DECK_HEIGHT;
+  return (b <= PALLET_FOOTPRINT.l && c <= PALLET_FOOTPRINT.w && a <= loadHeight) ||
+    (a <= PALLET_FOOTPRINT.l && b <= PALLET_FOOTPRINT.w && c <= loadHeight);
+}
+
+// Stack package line items onto 48x40 pallets: heaviest boxes first, each onto the first pallet
+// with room (volume and weight come from analyzeShipmentData); non-stackable boxes ride alone
+function buildPackingPlan(packages) {
+  const loadCapacity = PALLET_FOOTPRINT.l * PALLET_FOOTPRINT.w * (PALLET_MAX_HEIGHT - PALLET_DECK_HEIGHT) / 1728 * PALLET_FILL_EFFICIENCY;
+  const weightCapacity = PALLET_MAX_WEIGHT - PALLET_TARE_WEIGHT;
+  
+  const units = [];
+  const unfit = [];
+  packages.forEach((pkg, index) => {
+    const unit = analyzeShipmentData({ packages: [{ ...pkg, quantity: 1 }] }, 'package');
+    if (!fitsOnPallet(pkg) || unit.actualWeight > weightCapacity) {
+      unfit.push(index + 1);
+      return;
+    }
+    for (let i = 0; i < (pkg.quantity || 1); i++) {
+      units.push({ line: index + 1, description: pkg.description || null, weight: unit.actualWeight, volume: unit.totalVolume, stackable: pkg.stackable !== false });
+    }
+  });
+  
+  const pallets = [];
+  units.sort((a, b) => b.weight - a.weight).forEach(unit => {
+    let pallet = unit.stackable && pallets.find(p => p.stackable && p.volume + unit.volume <= loadCapacity && p.weight + unit.weight <= weightCapacity);
+    if (!pallet) {
+      pallet = { stackable: unit.stackable, weight: 0, volume: 0, lines: new Map() };
+      pallets.push(pallet);
+    }
+    pallet.weight += unit.weight;
+    pallet.volume += unit.volume;
+    const line = pallet.lines.get(unit.line) || { line: unit.line, description: unit.description, quantity: 0 };
+    line.quantity += 1;
+    pallet.lines.set(unit.line, line);
+  });
+  
+  return {
+    pallet_footprint: { unit: 'in', l: PALLET_FOOTPRINT.l, w: PALLET_FOOTPRINT.w },
+    unpalletizable_lines: unfit,
+    pallets: pallets.map((pallet, i) => {
+      const loadHeight = Math.ceil(pallet.volume * 1728 / (PALLET_FOOTPRINT.l * PALLET_FOOTPRINT.w) / PALLET_FILL_EFFICIENCY);
+      return {
+        number: i + 1,
+        dimensions: { unit: 'in', l: PALLET_FOOTPRINT.l, w: PALLET_FOOTPRINT.w, h: Math.min(PALLET_MAX_HEIGHT, PALLET_DECK_HEIGHT + loadHeight) },
+        weight: { unit: 'lb', value: Math.round(pallet.weight + PALLET_TARE_WEIGHT) },
+        pieces: [...pallet.lines.values()].reduce((sum, line) => sum + line.quantity, 0),
+        lines: [...pallet.lines.values()].sort((a, b) => a.line - b.line)
+      };
+    })
+  };
+}
+
+// Built pallets as pallet packaging_properties; the packages ride along for customs
+function getPlanPackagingProperties(plan, packages) {
+  return {
+    pallets: plan.pallets.map(pallet => ({
+      quantity: 1,
+      description: `Pallet ${pallet.number} (${pallet.pieces} pieces)`,
+      measurements: { weight: pallet.weight, cuboid: pallet.dimensions }
+    })),
+    packages: packages
+  };
+}
+
+// Packaging a rate was priced on - built pallets for LTL rates in optimize mode, otherwise the request's
+function getRatedPackaging(rateRequest, rate) {
+  const details = rateRequest.request.details;
+  if (rateRequest.packing_plan && getCarrierInfo(rate.service_id).mode === 'ltl') {
+    return { packagingType: 'pallet', packagingProperties: getPlanPackagingProperties(rateRequest.packing_plan, details.packaging_properties.packages) };
+  }
+  return { packagingType: details.packaging_type, packagingProperties: details.packaging_properties };
+}
+
+// Cheapest parcel vs cheapest LTL rate so far, with the packing plan for the winner
+function getModeRecommendation(rates, packingPlan) {
+  const priced = rates.filter(rate => rate.service_id && rate.total && /^\d+$/.test(rate.total.value));
+  const cheapest = mode => priced
+    .filter(rate => getCarrierInfo(rate.service_id).mode === mode)
+    .sort((a, b) => parseInt(a.total.value) - parseInt(b.total.value))[0] || null;
+  
+  const parcel = cheapest('parcel');
+  const ltl = cheapest('ltl');
+  if (!parcel && !ltl) return null;
+  
+  const best = !ltl || (parcel && parseInt(parcel.total.value) <= parseInt(ltl.total.value)) ? parcel : ltl;
+  const other = best === parcel ? ltl : parcel;
+  const mode = best === parcel ? 'parcel' : 'ltl';
+  
+  return {
+    mode: mode,
+    service_id: best.service_id,
+    carrier_name: best.carrier_name,
+    service_name: best.service_name,
+    total: best.total,
+    alternative: other ? { mode: mode === 'parcel' ? 'ltl' : 'parcel', service_id: other.service_id, total: other.total } : null,
+    savings: other ? { currency: best.total.currency, value: (parseInt(other.total.value) - parseInt(best.total.value)).toString() } : null,
+    packing_plan: mode === 'ltl' ? packingPlan : null
+  };
+}
+
+// Bundled postal-prefix coordinates (Canadian FSAs, US ZIP3s) so zoning works offline
+const POSTAL_PREFIXES = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'postal-prefixes.json'), 'utf8'));
+
+// Multiplier when a lane can't be located (no usable postal code or region)
+const UNKNOWN_LANE_FACTOR = 1.5;
+
+// Coordinates for an address from its postal code prefix, falling back to its region
+function lookupPostalCoordinates(address) {
+  const country = (address.country || 'CA').toUpperCase();
+  const postalCode = (address.postal_code || '').replace(/\s+/g, '').toUpperCase();
+  const region = normalizeRegion(address.region);
+  
+  if (country === 'CA') {
+    // Longest listed prefix wins: FSA, then 2 characters, then postal district letter
+    for (const length of [3, 2, 1]) {
+      const prefix = postalCode.slice(0, length);
+      if (prefix.length === length && POSTAL_PREFIXES.CA[prefix]) {
+        return { coordinates: POSTAL_PREFIXES.CA[prefix], prefix: prefix };
+      }
+    }
+    if (POSTAL_PREFIXES.CA_REGIONS[region]) {
+      return { coordinates: POSTAL_PREFIXES.CA_REGIONS[region], prefix: region };
+    }
+  } else if (country === 'US') {
+    const zip3 = postalCode.slice(0, 3);
+    if (POSTAL_PREFIXES.US[zip3]) {
+      return { coordinates: POSTAL_PREFIXES.US[zip3], prefix: zip3 };
     }
+    const range = /^\d{3}$/.test(zip3) && POSTAL_PREFIXES.US_ZIP3_RANGES.find(([start, end]) => zip3 >= start && zip3 <= end);
+    const state = range ? range[2] : region;
+    if (POSTAL_PREFIXES.US_STATES[state]) {
+      return { coordinates: POSTAL_PREFIXES.US_STATES[state], prefix: range ? zip3 : state };
+    }
+  } else if (POSTAL_PREFIXES.COUNTRIES[country]) {
+    return { coordinates: POSTAL_PREFIXES.COUNTRIES[country], prefix: country };
   }
   
-  // Fallback if province not found
-  if (!factor) {
-    factor = 1.5; // Default for unknown provinces
-    console.log(`📍 Using default rate for unknown province ${destProvince}: ${factor}x`);
-  } else {
-    console.log(`📍 Using province rate for ${destProvince.toUpperCase()}: ${factor}x`);
+  return null;
+}
+
+// Great-circle distance in km between two [lat, lon] points
+function haversineDistance([lat1, lon1], [lat2, lon2]) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Locate the origin → destination lane by postal code prefix (distance is null if unknown)
+function calculateLane(origin, destination) {
+  const from = lookupPostalCoordinates(origin);
+  const to = lookupPostalCoordinates(destination);
+  const originLabel = `${origin.postal_code || origin.city}, ${normalizeRegion(origin.region)}`;
+  const destLabel = `${destination.postal_code || destination.city}, ${normalizeRegion(destination.region)}`;
+  
+  if (!from || !to) {
+    console.log(`📍 Could not locate lane ${originLabel} → ${destLabel}, using default ${UNKNOWN_LANE_FACTOR}x`);
+    return { distanceKm: null, originPrefix: from?.prefix || null, destinationPrefix: to?.prefix || null };
   }
   
-  console.log(`📍 Final distance factor from Concord, ON to ${destCity}, ${destProvince.toUpperCase()}: ${factor}x`);
-  return factor;
+  const distanceKm = Math.round(haversineDistance(from.coordinates, to.coordinates));
+  console.log(`📍 Lane ${originLabel} (${from.prefix}) → ${destLabel} (${to.prefix}): ${distanceKm} km`);
+  return { distanceKm, originPrefix: from.prefix, destinationPrefix: to.prefix };
 }
 
-// Generate parcel shipping rates
-function generateParcelRates(shipmentData, distanceFactor, destination) {
-  const isResidential = destination.residential;
-  const residentialSurcharge = isResidential ? 1.15 : 1.0;
+// Carrier zone for a lane, with the multiplier it applies and the debug block returned in rates
+function getCarrierZone(serviceId, lane) {
+  const chart = getCarrierInfo(serviceId).zoneChart;
+  const band = lane.distanceKm === null || !chart ? null : chart.find(b => b.max_km === null || lane.distanceKm <= b.max_km);
+  
+  return {
+    factor: band ? band.factor : UNKNOWN_LANE_FACTOR,
+    details: {
+      zone: band ? band.zone : 'default',
+      distance_km: lane.distanceKm,
+      origin_prefix: lane.originPrefix,
+      destination_prefix: lane.destinationPrefix
+    }
+  };
+}
+
+// Ship-from address for a request: details.origin.address when given, else the default warehouse
+function resolveOrigin(details) {
+  const address = details.origin?.address;
+  if (!address || !(address.city || address.postal_code)) {
+    return DEFAULT_ORIGIN;
+  }
   
-  // Base rates per pound (CAD cents)
-  const baseRatesPerLb = {
-    cp_expedited: 85,  // Canada Post Expedited
-    cp_regular: 65,    // Canada Post Regular  
-    pur_ground: 95     // Purolator Ground
+  return {
+    name: details.origin.name || details.origin.contact_name,
+    ...address
   };
+}
+
+// One-line address for logs and the info endpoints
+function formatAddress(address) {
+  return [address.address_line_1, address.city, normalizeRegion(address.region), address.postal_code]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Generate parcel shipping rates
+function generateParcelRates(shipmentData, lane, destination) {
+  const isResidential = destination.residential;
   
   const rates = [];
   
-  Object.entries(baseRatesPerLb).forEach(([serviceId, baseRate]) => {
-    // Calculate base cost: (weight × rate per lb) + handling fee
-    const weightCost = Math.round(shipmentData.billableWeight * baseRate);
-    const handlingFee = shipmentData.itemCount * 150; // $1.50 per package
+  getCatalogServices('parcel').forEach(service => {
+    const serviceId = service.id;
+    const residentialSurcharge = isResidential ? service.residential_multiplier : 1.0;
+    const measurements = getMeasurementsUsed(shipmentData, service);
+    const actualWeight = measurements.actual_weight.value;
+    const dimensionalWeight = measurements.dimensional_weight.value;
+    const billableWeight = measurements.billable_weight.value;
+    
+    // Calculate base cost: (billable weight × rate per lb) + handling fee per package
+    const weightCost = Math.round(billableWeight * service.rate_per_lb);
+    const handlingFee = shipmentData.itemCount * service.handling_fee;
     const baseCost = weightCost + handlingFee;
     
-    // Apply distance and residential multipliers
-    const adjustedCost = Math.round(baseCost * distanceFactor * residentialSurcharge);
+    // Apply carrier zone and residential multipliers
+    const zone = getCarrierZone(serviceId, lane);
+    const adjustedCost = Math.round(baseCost * zone.factor * residentialSurcharge);
     
     // Calculate surcharges
-    const fuelSurcharge = Math.round(adjustedCost * 0.15); // 15% fuel
-    const residentialFee = isResidential ? 130 : 0; // $1.30 residential fee
+    const fuelSurcharge = Math.round(adjustedCost * service.fuel_percent / 100);
+    const residentialFee = isResidential ? service.residential_fee : 0;
     
     // Dimensional weight surcharge for large, light packages
-    const dimWeightSurcharge = shipmentData.dimensionalWeight > shipmentData.actualWeight ? 
-      Math.round((shipmentData.dimensionalWeight - shipmentData.actualWeight) * 25) : 0;
+    const dimWeightSurcharge = dimensionalWeight > actualWeight ? 
+      Math.round((dimensionalWeight - actualWeight) * service.dim_weight_surcharge_per_lb) : 0;
     
-    const totalCost = adjustedCost + fuelSurcharge + residentialFee + dimWeightSurcharge;
+    // Minimum charge - the shortfall is its own surcharge line so the parts add up to the total
+    const totalBeforeMin = adjustedCost + fuelSurcharge + residentialFee + dimWeightSurcharge;
+    const minimumAdjustment = Math.max(0, service.minimum - totalBeforeMin);
+    const totalCost = totalBeforeMin + minimumAdjustment;
     
     const carrierInfo = getCarrierInfo(serviceId);
     
@@ -258,58 +833,58 @@ function generateParcelRates(shipmentData, distanceFactor, destination) {
       carrier_name: carrierInfo.carrier,
       service_name: carrierInfo.service,
       service_id: serviceId.toUpperCase(),
-      valid_until: { year: 2025, month: 12, day: 31 },
+      valid_until: getRateValidUntil(),
       total: { currency: "CAD", value: totalCost.toString() },
       base: { currency: "CAD", value: adjustedCost.toString() },
       surcharges: [
         { type: "fuel", amount: { currency: "CAD", value: fuelSurcharge.toString() } },
         ...(isResidential ? [{ type: "residential", amount: { currency: "CAD", value: residentialFee.toString() } }] : []),
-        ...(dimWeightSurcharge > 0 ? [{ type: "dimensional_weight", amount: { currency: "CAD", value: dimWeightSurcharge.toString() } }] : [])
+        ...(dimWeightSurcharge > 0 ? [{ type: "dimensional_weight", amount: { currency: "CAD", value: dimWeightSurcharge.toString() } }] : []),
+        ...(minimumAdjustment > 0 ? [{ type: "minimum_charge", amount: { currency: "CAD", value: minimumAdjustment.toString() } }] : [])
       ],
       taxes: [],
-      transit_time_days: carrierInfo.transitDays,
-      transit_time_not_available: false
+      transit_time_days: getTransitDays(service, zone),
+      transit_time_not_available: false,
+      guaranteed: carrierInfo.guaranteed,
+      zone: zone.details,
+      measurements_used: measurements
     });
     
-    console.log(`📦 ${carrierInfo.carrier} ${carrierInfo.service}: Weight ${shipmentData.billableWeight}lbs → $${(totalCost/100).toFixed(2)}`);
+    console.log(`📦 ${carrierInfo.carrier} ${carrierInfo.service}: Weight ${billableWeight}lbs → $${(totalCost/100).toFixed(2)}`);
   });
   
   return rates.sort((a, b) => parseInt(a.total.value) - parseInt(b.total.value));
 }
 
 // Generate LTL shipping rates  
-function generateLTLRates(shipmentData, distanceFactor, destination) {
+function generateLTLRates(shipmentData, lane, destination) {
   const isResidential = destination.residential;
   
-  // Determine freight class based on density
-  const freightClass = calculateFreightClass(shipmentData.density);
-  
-  // Base rates per 100 lbs by freight class (CAD cents)
-  const baseRatesPer100Lbs = {
-    dr_ltl_std: getFreightClassRate(freightClass, 'standard'),
-    dr_ltl_exp: getFreightClassRate(freightClass, 'express'), 
-    pur_ltl: getFreightClassRate(freightClass, 'premium')
-  };
-  
   const rates = [];
   
-  Object.entries(baseRatesPer100Lbs).forEach(([serviceId, baseRate]) => {
-    // Calculate base cost: (weight ÷ 100) × rate per 100lbs
-    const weightUnits = Math.max(1, Math.ceil(shipmentData.actualWeight / 100));
-    const baseCost = Math.round(weightUnits * baseRate);
+  getCatalogServices('ltl').forEach(service => {
+    const serviceId = service.id;
+    
+    // Freight class comes from density; LTL bills actual weight
+    const measurements = getMeasurementsUsed(shipmentData, service);
+    const freightClass = measurements.freight_class;
     
-    // Apply distance multiplier
-    const adjustedCost = Math.round(baseCost * distanceFactor);
+    // Calculate base cost: (weight ÷ 100) × rate per 100lbs for the freight class (CAD cents)
+    const weightUnits = Math.max(1, Math.ceil(measurements.billable_weight.value / 100));
+    const baseCost = Math.round(weightUnits * service.rate_per_cwt[freightClass]);
+    
+    // Apply carrier zone multiplier
+    const zone = getCarrierZone(serviceId, lane);
+    const adjustedCost = Math.round(baseCost * zone.factor);
     
     // Calculate LTL surcharges
-    const fuelSurcharge = Math.round(adjustedCost * 0.18); // 18% fuel for LTL
-    const residentialFee = isResidential ? 750 : 0; // $7.50 residential delivery
-    const liftGateFee = 250; // $2.50 lift gate (common for building materials)
+    const fuelSurcharge = Math.round(adjustedCost * service.fuel_percent / 100);
+    const residentialFee = isResidential ? service.residential_fee : 0;
     
-    // Minimum charge for LTL
-    const minimumCharge = 5000; // $50 minimum
-    const totalBeforeMin = adjustedCost + fuelSurcharge + residentialFee + liftGateFee;
-    const totalCost = Math.max(minimumCharge, totalBeforeMin);
+    // Minimum charge for LTL - the shortfall is its own surcharge line so the parts add up to the total
+    const totalBeforeMin = adjustedCost + fuelSurcharge + residentialFee;
+    const minimumAdjustment = Math.max(0, service.minimum - totalBeforeMin);
+    const totalCost = totalBeforeMin + minimumAdjustment;
     
     const carrierInfo = getCarrierInfo(serviceId);
     
@@ -317,20 +892,23 @@ function generateLTLRates(shipmentData, distanceFactor, destination) {
       carrier_name: carrierInfo.carrier,
       service_name: carrierInfo.service,
       service_id: serviceId.toUpperCase(),
-      valid_until: { year: 2025, month: 12, day: 31 },
+      valid_until: getRateValidUntil(),
       total: { currency: "CAD", value: totalCost.toString() },
       base: { currency: "CAD", value: adjustedCost.toString() },
       surcharges: [
         { type: "fuel", amount: { currency: "CAD", value: fuelSurcharge.toString() } },
-        { type: "lift_gate", amount: { currency: "CAD", value: liftGateFee.toString() } },
-        ...(isResidential ? [{ type: "residential_delivery", amount: { currency: "CAD", value: residentialFee.toString() } }] : [])
+        ...(isResidential ? [{ type: "residential_delivery", amount: { currency: "CAD", value: residentialFee.toString() } }] : []),
+        ...(minimumAdjustment > 0 ? [{ type: "minimum_charge", amount: { currency: "CAD", value: minimumAdjustment.toString() } }] : [])
       ],
       taxes: [],
-      transit_time_days: carrierInfo.transitDays,
-      transit_time_not_available: false
+      transit_time_days: getTransitDays(service, zone),
+      transit_time_not_available: false,
+      guaranteed: carrierInfo.guaranteed,
+      zone: zone.details,
+      measurements_used: measurements
     });
     
-    console.log(`🚛 ${carrierInfo.carrier} ${carrierInfo.service}: ${shipmentData.actualWeight}lbs, Class ${freightClass} → $${(totalCost/100).toFixed(2)}`);
+    console.log(`🚛 ${carrierInfo.carrier} ${carrierInfo.service}: ${measurements.actual_weight.value}lbs, Class ${freightClass} → $${(totalCost/100).toFixed(2)}`);
   });
   
   return rates.sort((a, b) => parseInt(a.total.value) - parseInt(b.total.value));
@@ -358,125 +936,3695 @@ function calculateFreightClass(density) {
   return '500'; // Very light/bulky items
 }
 
-// Get freight class rate (cents per 100 lbs)
-function getFreightClassRate(freightClass, serviceType) {
-  const baseRates = {
-    '50': { standard: 2500, express: 3500, premium: 3000 },
-    '55': { standard: 2800, express: 3900, premium: 3300 },
-    '60': { standard: 3100, express: 4300, premium: 3600 },
-    '65': { standard: 3400, express: 4700, premium: 3900 },
-    '70': { standard: 3700, express: 5100, premium: 4200 },
-    '77.5': { standard: 4000, express: 5500, premium: 4500 },
-    '85': { standard: 4300, express: 5900, premium: 4800 },
-    '92.5': { standard: 4600, express: 6300, premium: 5100 },
-    '100': { standard: 4900, express: 6700, premium: 5400 },
-    '110': { standard: 5200, express: 7100, premium: 5700 },
-    '125': { standard: 5500, express: 7500, premium: 6000 }, // Building materials
-    '150': { standard: 5800, express: 7900, premium: 6300 },
-    '175': { standard: 6100, express: 8300, premium: 6600 },
-    '200': { standard: 6400, express: 8700, premium: 6900 },
-    '250': { standard: 6700, express: 9100, premium: 7200 },
-    '300': { standard: 7000, express: 9500, premium: 7500 },
-    '400': { standard: 7300, express: 9900, premium: 7800 },
-    '500': { standard: 7600, express: 10300, premium: 8100 }
-  };
-  
-  return baseRates[freightClass]?.[serviceType] || 5500;
+// Latency distributions for simulated delays (all values in milliseconds)
+const LATENCY_DISTRIBUTIONS = {
+  fixed: ['ms'],
+  uniform: ['min', 'max'],
+  normal: ['mean', 'stddev'],
+  exponential: ['mean']
+};
+
+// Field-level problems with a latency distribution (empty when it's valid)
+function validateLatency(latency, field) {
+  const params = latency && LATENCY_DISTRIBUTIONS[latency.distribution];
+  if (!params) {
+    return { [`${field}.distribution`]: `must be one of: ${Object.keys(LATENCY_DISTRIBUTIONS).join(', ')}` };
+  }
+  
+  const errors = {};
+  params.forEach(param => {
+    if (!Number.isFinite(latency[param]) || latency[param] < 0) errors[`${field}.${param}`] = 'must be a number >= 0';
+  });
+  return errors;
 }
 
-// Get carrier information
-function getCarrierInfo(serviceId) {
-  const carriers = {
-    cp_expedited: { carrier: 'Canada Post', service: 'Expedited Parcel', transitDays: 3 },
-    cp_regular: { carrier: 'Canada Post', service: 'Regular Parcel', transitDays: 5 },
-    pur_ground: { carrier: 'Purolator', service: 'Ground', transitDays: 2 },
-    dr_ltl_std: { carrier: 'Day & Ross', service: 'LTL Standard', transitDays: 5 },
-    dr_ltl_exp: { carrier: 'Day & Ross', service: 'LTL Express', transitDays: 2 },
-    pur_ltl: { carrier: 'Purolator Freight', service: 'LTL', transitDays: 3 }
-  };
+// Draw a delay (ms) from a latency distribution
+function sampleLatency(latency, random) {
+  if (!latency) return 0;
   
-  return carriers[serviceId] || { carrier: 'Unknown', service: 'Standard', transitDays: 5 };
+  switch (latency.distribution) {
+    case 'fixed':
+      return latency.ms;
+    case 'uniform':
+      return Math.round(latency.min + random() * (latency.max - latency.min));
+    case 'normal': {
+      // Box-Muller transform, clamped at zero
+      const u = 1 - random();
+      const v = random();
+      return Math.max(0, Math.round(latency.mean + latency.stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)));
+    }
+    case 'exponential':
+      return Math.round(-latency.mean * Math.log(1 - random()));
+    default:
+      return 0;
+  }
 }
 
-// Rate request endpoint
-app.post('/rate', (req, res) => {
-  const requestId = uuidv4();
-  const { services, excluded_services, details } = req.body;
+// Pickup rules for carriers whose catalog entry has no pickup block (local time at the pickup address)
+const DEFAULT_PICKUP_RULES = { cutoff: '14:00', earliest_ready: '09:00', latest_close: '17:00', min_window_minutes: 120, max_days_ahead: 10 };
+
+// "HH:MM" (24-hour) as minutes after midnight, or null when it isn't a valid time
+function parseClockTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// Freight classes every LTL rate table must price
+const FREIGHT_CLASSES = [
+  '50', '55', '60', '65', '70', '77.5', '85', '92.5', '100',
+  '110', '125', '150', '175', '200', '250', '300', '400', '500'
+];
+
+// Directory of carrier catalog files (.json, .yaml, .yml - one carrier per file)
+const CARRIERS_DIR = process.env.CARRIERS_DIR || path.join(CONFIG_DIR, 'carriers');
+
+// Loaded carrier catalog: carriers in file order plus a service-id index
+let carrierCatalog = { carriers: [], services: new Map() };
+
+// Problems with one carrier definition (empty when it's valid)
+function validateCarrierDefinition(carrier, file) {
+  const problems = [];
+  const isAmount = value => Number.isFinite(value) && value >= 0;
   
-  console.log('📦 Rate request for packaging type:', details.packaging_type);
+  if (typeof carrier.id !== 'string' || !/^[a-z0-9_]+$/.test(carrier.id)) problems.push('id must be lowercase letters, digits or underscores');
+  if (typeof carrier.name !== 'string' || !carrier.name) problems.push('name is required');
+  if (typeof carrier.tracking_prefix !== 'string') problems.push('tracking_prefix is required');
+  if (carrier.countries !== undefined && (!Array.isArray(carrier.countries) || carrier.countries.some(c => !/^[A-Z]{2}$/.test(c)))) {
+    problems.push('countries must be a list of two-letter country codes');
+  }
+  
+  const chart = carrier.zone_chart;
+  if (!Array.isArray(chart) || chart.length === 0) {
+    problems.push('zone_chart must be a non-empty list');
+  } else {
+    chart.forEach((band, i) => {
+      const last = i === chart.length - 1;
+      if (typeof band.zone !== 'string') problems.push(`zone_chart[${i}].zone must be a string`);
+      if (!(band.factor > 0)) problems.push(`zone_chart[${i}].factor must be greater than 0`);
+      if (last && band.max_km !== null) problems.push(`zone_chart[${i}].max_km must be null (open-ended) on the last band`);
+      if (!last && !(band.max_km > (i > 0 ? chart[i - 1].max_km : 0))) problems.push(`zone_chart[${i}].max_km must be ascending`);
+    });
+  }
+  
+  if (carrier.quote_latency !== undefined) {
+    Object.entries(validateLatency(carrier.quote_latency, 'quote_latency')).forEach(([field, message]) => problems.push(`${field} ${message}`));
+  }
+  
+  if (carrier.pickup !== undefined) {
+    const pickup = carrier.pickup || {};
+    ['cutoff', 'earliest_ready', 'latest_close'].forEach(field => {
+      if (parseClockTime(pickup[field]) === null) problems.push(`pickup.${field} must be a 24-hour time (HH:MM)`);
+    });
+    if (parseClockTime(pickup.earliest_ready) >= parseClockTime(pickup.latest_close)) problems.push('pickup.earliest_ready must be before pickup.latest_close');
+    if (!(Number.isInteger(pickup.min_window_minutes) && pickup.min_window_minutes > 0)) problems.push('pickup.min_window_minutes must be a whole number of minutes');
+    if (!(Number.isInteger(pickup.max_days_ahead) && pickup.max_days_ahead >= 0)) problems.push('pickup.max_days_ahead must be a whole number of days');
+  }
+  
+  Object.entries(carrier.accessorials || {}).forEach(([type, price]) => {
+    if (!ACCESSORIAL_TYPES.includes(type)) problems.push(`accessorials.${type} is not a known accessorial`);
+    if (!isAmount(price)) problems.push(`accessorials.${type} must be a price in cents`);
+  });
+  
+  if (!Array.isArray(carrier.services) || carrier.services.length === 0) {
+    problems.push('services must be a non-empty list');
+  } else {
+    const zones = Array.isArray(chart) ? chart.map(band => band.zone) : [];
+    carrier.services.forEach((service, i) => {
+      const at = `services[${i}]`;
+      if (typeof service.id !== 'string' || !/^[a-z0-9_]+$/.test(service.id)) problems.push(`${at}.id must be lowercase letters, digits or underscores`);
+      if (typeof service.name !== 'string' || !service.name) problems.push(`${at}.name is required`);
+      if (!Number.isInteger(service.transit_days) || service.transit_days < 1) problems.push(`${at}.transit_days must be a whole number of days`);
+      if (service.guaranteed !== undefined && typeof service.guaranteed !== 'boolean') problems.push(`${at}.guaranteed must be true or false`);
+      Object.entries(service.transit_days_by_zone || {}).forEach(([zone, days]) => {
+        if (!zones.includes(zone)) problems.push(`${at}.transit_days_by_zone.${zone} is not a zone in zone_chart`);
+        if (!Number.isInteger(days) || days < 1) problems.push(`${at}.transit_days_by_zone.${zone} must be a whole number of days`);
+      });
+      ['fuel_percent', 'minimum', 'residential_fee'].forEach(field => {
+        if (!isAmount(service[field])) problems.push(`${at}.${field} must be a number >= 0`);
+      });
+      
+      if (service.mode === 'parcel') {
+        ['rate_per_lb', 'handling_fee', 'dim_weight_surcharge_per_lb'].forEach(field => {
+          if (!isAmount(service[field])) problems.push(`${at}.${field} must be a number >= 0`);
+        });
+        if (!DIM_DIVISOR_UNITS[service.dim_divisor?.unit]) problems.push(`${at}.dim_divisor.unit must be one of ${Object.keys(DIM_DIVISOR_UNITS).join(', ')}`);
+        if (!(service.dim_divisor?.value > 0)) problems.push(`${at}.dim_divisor.value must be greater than 0`);
+        if (!(service.residential_multiplier >= 1)) problems.push(`${at}.residential_multiplier must be at least 1`);
+      } else if (service.mode === 'ltl') {
+        const missing = FREIGHT_CLASSES.filter(fc => !isAmount(service.rate_per_cwt?.[fc]));
+        if (missing.length > 0) problems.push(`${at}.rate_per_cwt is missing freight class(es) ${missing.join(', ')}`);
+      } else {
+        problems.push(`${at}.mode must be parcel or ltl`);
+      }
+    });
+  }
+  
+  return problems.map(problem => `${file}: ${problem}`);
+}
+
+// Read and validate every carrier file - throws with all problems if any file is invalid
+function readCarrierCatalog() {
+  const files = fs.readdirSync(CARRIERS_DIR).filter(file => /\.(json|ya?ml)$/.test(file)).sort();
+  const carriers = [];
+  const services = new Map();
+  const problems = [];
+  
+  files.forEach(file => {
+    const text = fs.readFileSync(path.join(CARRIERS_DIR, file), 'utf8');
+    let carrier;
+    try {
+      carrier = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    } catch (err) {
+      problems.push(`${file}: ${err.message}`);
+      return;
+    }
+    
+    const carrierProblems = validateCarrierDefinition(carrier || {}, file);
+    if (carrierProblems.length > 0) {
+      problems.push(...carrierProblems);
+      return;
+    }
+    if (carriers.some(c => c.id === carrier.id)) {
+      problems.push(`${file}: carrier id ${carrier.id} is already defined`);
+      return;
+    }
+    
+    carrier.services.forEach(service => {
+      if (services.has(service.id)) {
+        problems.push(`${file}: service id ${service.id} is already defined`);
+      }
+      services.set(service.id, { ...service, carrier: carrier });
+    });
+    carriers.push(carrier);
+  });
+  
+  if (carriers.length === 0 && problems.length === 0) {
+    problems.push(`no carrier files found in ${CARRIERS_DIR}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid carrier catalog:\n  ${problems.join('\n  ')}`);
+  }
+  
+  return { carriers, services };
+}
+
+// Load the catalog at startup (fatal if invalid)
+function loadCarrierCatalog() {
+  carrierCatalog = readCarrierCatalog();
+  console.log(`🚚 Loaded ${carrierCatalog.carriers.length} carriers / ${carrierCatalog.services.size} services from ${CARRIERS_DIR}`);
+}
+
+// Reload the catalog when its files change - an invalid edit keeps the previous catalog
+function watchCarrierCatalog() {
+  let reloadTimer = null;
+  
+  const watcher = fs.watch(CARRIERS_DIR, () => {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      try {
+        carrierCatalog = readCarrierCatalog();
+        console.log(`🔄 Reloaded carrier catalog: ${carrierCatalog.carriers.length} carriers / ${carrierCatalog.services.size} services`);
+      } catch (err) {
+        console.error(`❌ ${err.message}\n   Keeping the previous carrier catalog`);
+      }
+    }, 200);
+  });
+  watcher.unref();
+}
+
+// Catalog services for a mode ('parcel' or 'ltl')
+function getCatalogServices(mode) {
+  return [...carrierCatalog.services.values()].filter(service => service.mode === mode);
+}
+
+// Transit days for a service in a zone (falls back to the service default)
+function getTransitDays(service, zone) {
+  return service.transit_days_by_zone?.[zone.details.zone] || service.transit_days;
+}
+
+// Get carrier information
+function getCarrierInfo(serviceId) {
+  const service = carrierCatalog.services.get(String(serviceId).toLowerCase());
+  
+  if (!service) {
+    return {
+      carrierId: null, carrier: 'Unknown', service: 'Standard', mode: null, transitDays: 5, guaranteed: false,
+      zoneChart: null, countries: null, accessorials: {}, trackingPrefix: 'FC', quoteLatency: null,
+      pickupRules: DEFAULT_PICKUP_RULES
+    };
+  }
+  
+  return {
+    carrierId: service.carrier.id,
+    carrier: service.carrier.name,
+    service: service.name,
+    mode: service.mode,
+    transitDays: service.transit_days,
+    guaranteed: service.guaranteed === true,
+    zoneChart: service.carrier.zone_chart,
+    countries: service.carrier.countries || null,
+    accessorials: service.carrier.accessorials || {},
+    trackingPrefix: service.carrier.tracking_prefix,
+    quoteLatency: service.carrier.quote_latency || null,
+    pickupRules: service.carrier.pickup || DEFAULT_PICKUP_RULES
+  };
+}
+
+loadCarrierCatalog();
+watchCarrierCatalog();
+
+// Quote expiry date in Freightcom's { year, month, day } format
+function getRateValidUntil() {
+  const expiry = new Date(Date.now() + RATE_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  return { year: expiry.getUTCFullYear(), month: expiry.getUTCMonth() + 1, day: expiry.getUTCDate() };
+}
+
+// A quote stays valid until the end of its valid_until day (UTC)
+function getRateExpiry(rate) {
+  const { year, month, day } = rate.valid_until;
+  return Date.UTC(year, month - 1, day, 23, 59, 59, 999);
+}
+
+function isRateExpired(rate) {
+  return Date.now() > getRateExpiry(rate);
+}
+
+// When a stored rate request may be evicted: its TTL, extended to cover any quote that's still valid
+function getRateRequestExpiry(rateRequest) {
+  const quoteExpiries = (rateRequest.rates || []).map(getRateExpiry);
+  return Math.max(rateRequest.created + RATE_REQUEST_TTL_HOURS * 60 * 60 * 1000, ...quoteExpiries);
+}
+
+// Store a rate request with its eviction time
+function saveRateRequest(rateRequest) {
+  rateRequests.set(rateRequest.id, { ...rateRequest, expires_at: getRateRequestExpiry(rateRequest) });
+}
+
+// Drop a stored rate request. Tracking numbers from labels that were never booked go with it
+function deleteRateRequest(rateId) {
+  rateRequests.delete(rateId);
+  
+  const booked = new Set([...shipments.values()].map(s => s.tracking_number));
+  [...trackingNumbers.values()]
+    .filter(entry => entry.rate_id === rateId && !booked.has(entry.tracking_number))
+    .forEach(entry => trackingNumbers.delete(entry.tracking_number));
+}
+
+// Evict a rate request, leaving a tombstone so its ID reports as expired rather than unknown
+function evictRateRequest(rateId) {
+  const accountId = rateRequests.get(rateId).account_id || null;
+  deleteRateRequest(rateId);
+  expiredRateRequests.set(rateId, { id: rateId, account_id: accountId, expired_at: Date.now() });
+}
+
+// Evict rate requests past their expiry and forget tombstones past the retention period
+function sweepExpiredRateRequests() {
+  const now = Date.now();
+  const expired = [...rateRequests.values()].filter(rateRequest => now > rateRequest.expires_at);
+  expired.forEach(rateRequest => evictRateRequest(rateRequest.id));
+  
+  const retentionMs = EXPIRED_RATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  [...expiredRateRequests.values()]
+    .filter(tombstone => now > tombstone.expired_at + retentionMs)
+    .forEach(tombstone => expiredRateRequests.delete(tombstone.id));
+  
+  if (expired.length > 0) {
+    console.log(`🧹 Evicted ${expired.length} expired rate request(s)`);
+  }
+}
+
+sweepExpiredRateRequests();
+setInterval(sweepExpiredRateRequests, STORAGE_SWEEP_INTERVAL_MS).unref();
+
+// Look up the caller's rate request, or send 404 (unknown or another account's) / 410 (evicted after expiry)
+function findRateRequest(req, res, rateId) {
+  const rateRequest = rateRequests.get(rateId);
+  if (rateRequest && Date.now() > rateRequest.expires_at) {
+    evictRateRequest(rateId);
+  } else if (rateRequest && isVisibleTo(rateRequest, req)) {
+    return rateRequest;
+  }
+  
+  if (expiredRateRequests.has(rateId) && isVisibleTo(expiredRateRequests.get(rateId), req)) {
+    res.status(410).json({ message: 'Rate request has expired', data: { rate_id: 'expired' } });
+  } else {
+    res.status(404).json({ message: 'Rate request not found', data: { rate_id: 'not found' } });
+  }
+  return null;
+}
+
+// Deterministic tracking number for a rate request + service (same inputs, same number)
+function generateTrackingNumber(rateId, serviceId) {
+  const digest = crypto.createHash('sha256').update(`${rateId}:${serviceId}`).digest('hex');
+  const digits = BigInt('0x' + digest.slice(0, 16)).toString().padStart(20, '0').slice(-12);
+  return getCarrierInfo(serviceId).trackingPrefix + digits;
+}
+
+// Register a tracking number so GET /tracking can find it - first issue time wins.
+// The entry keeps its own copy of the rate and addresses so tracking outlives the rate request
+function issueTrackingNumber(rateRequest, rate, exception) {
+  const trackingNumber = generateTrackingNumber(rateRequest.id, rate.service_id);
+  const details = rateRequest.request.details;
+  
+  if (!trackingNumbers.has(trackingNumber)) {
+    trackingNumbers.set(trackingNumber, {
+      tracking_number: trackingNumber,
+      rate_id: rateRequest.id,
+      service_id: rate.service_id,
+      rate: rate,
+      origin: resolveOrigin(details),
+      destination: details.destination.address,
+      issued_at: Date.now(),
+      exception: exception || null
+    });
+  } else if (exception) {
+    trackingNumbers.set(trackingNumber, { ...trackingNumbers.get(trackingNumber), exception: exception });
+  }
+  
+  return trackingNumber;
+}
+
+// Canadian province/territory names to their two-letter codes
+const PROVINCE_CODES = {
+  'ontario': 'ON', 'quebec': 'QC', 'british columbia': 'BC', 'alberta': 'AB',
+  'saskatchewan': 'SK', 'manitoba': 'MB', 'nova scotia': 'NS', 'new brunswick': 'NB',
+  'prince edward island': 'PE', 'newfoundland and labrador': 'NL',
+  'northwest territories': 'NT', 'nunavut': 'NU', 'yukon': 'YT'
+};
+
+// Normalize a region to its code ('Ontario' → 'ON', 'on' → 'ON')
+function normalizeRegion(region) {
+  const value = (region || '').trim().toLowerCase();
+  return PROVINCE_CODES[value] || value.toUpperCase();
+}
+
+// East-west trunk of sortation hubs, and the hub each region feeds into
+const TRUNK_HUBS = [
+  { city: 'Moncton', region: 'NB', country: 'CA' },
+  { city: 'Montreal', region: 'QC', country: 'CA' },
+  { city: 'Toronto', region: 'ON', country: 'CA' },
+  { city: 'Winnipeg', region: 'MB', country: 'CA' },
+  { city: 'Regina', region: 'SK', country: 'CA' },
+  { city: 'Calgary', region: 'AB', country: 'CA' },
+  { city: 'Vancouver', region: 'BC', country: 'CA' }
+];
+const GATEWAY_HUBS = {
+  'NB': 'Moncton', 'NS': 'Moncton', 'PE': 'Moncton', 'NL': 'Moncton',
+  'QC': 'Montreal', 'NU': 'Montreal', 'ON': 'Toronto', 'MB': 'Winnipeg', 'SK': 'Regina',
+  'AB': 'Calgary', 'NT': 'Calgary', 'YT': 'Calgary', 'BC': 'Vancouver'
+};
+
+// Sortation hubs a shipment passes through along the trunk from origin to destination
+function getTrackingHubs(origin, destination) {
+  const edmonton = { city: 'Edmonton', region: 'AB', country: 'CA' };
+  const isDomestic = address => (address.country || 'CA').toUpperCase() === 'CA';
+  const gatewayIndex = address => {
+    const hub = isDomestic(address) ? GATEWAY_HUBS[normalizeRegion(address.region)] : 'Toronto';
+    return TRUNK_HUBS.findIndex(h => h.city === (hub || 'Toronto'));
+  };
+  const isNorthWest = address => isDomestic(address) && ['NT', 'YT'].includes(normalizeRegion(address.region));
+  
+  const from = gatewayIndex(origin);
+  const to = gatewayIndex(destination);
+  const hubs = from <= to ? TRUNK_HUBS.slice(from, to + 1) : TRUNK_HUBS.slice(to, from + 1).reverse();
+  
+  if (isNorthWest(origin)) hubs.unshift(edmonton);
+  if (isNorthWest(destination)) hubs.push(edmonton);
+  if (!isDomestic(destination)) hubs.push({ city: 'Buffalo', region: 'NY', country: 'US' });
+  
+  return hubs;
+}
+
+// Exception forced by the destination: no street address → address correction,
+// remote northern territories → first delivery attempt fails
+function getDestinationException(destination) {
+  if (!destination.address_line_1) return 'address_correction';
+  if (['NT', 'NU', 'YT'].includes(normalizeRegion(destination.region))) return 'delivery_attempted';
+  return null;
+}
+
+// Full tracking timeline (past and future events) - offsets are in simulated transit days
+function buildTrackingTimeline(entry, exception) {
+  const shipFrom = entry.origin;
+  const destination = entry.destination;
+  const transitDays = entry.rate.transit_time_days;
+  const origin = { city: shipFrom.city, region: normalizeRegion(shipFrom.region), country: (shipFrom.country || 'CA').toUpperCase() };
+  const terminal = { city: destination.city, region: normalizeRegion(destination.region), country: (destination.country || 'CA').toUpperCase() };
+  const hubs = getTrackingHubs(shipFrom, destination);
+  
+  const events = [
+    { offset: 0, type: 'label_created', where: origin, message: 'Shipping label created' },
+    { offset: 0.25, type: 'picked_up', where: origin, message: 'Picked up by carrier' },
+    { offset: 0.3, type: 'departed', where: origin, message: 'Departed origin facility' }
+  ];
+  
+  hubs.forEach((hub, i) => {
+    const arrival = 0.3 + (transitDays - 0.9) * (i + 1) / (hubs.length + 1);
+    events.push({ offset: arrival, type: 'arrived', where: hub, message: `Arrived at ${hub.city} sort facility` });
+    events.push({ offset: arrival + 0.1, type: 'departed', where: hub, message: `Departed ${hub.city} sort facility` });
+  });
+  
+  events.push({ offset: transitDays - 0.5, type: 'arrived', where: terminal, message: 'Arrived at delivery terminal' });
+  
+  if (exception === 'address_correction') {
+    events.push({ offset: transitDays - 0.4, type: 'address_correction', where: terminal, message: 'Address information incomplete - correction requested' });
+    events.push({ offset: transitDays + 0.5, type: 'address_corrected', where: terminal, message: 'Address corrected' });
+    events.push({ offset: transitDays + 0.7, type: 'out_for_delivery', where: terminal, message: 'Out for delivery' });
+    events.push({ offset: transitDays + 0.9, type: 'delivered', where: terminal, message: 'Delivered' });
+  } else if (exception === 'delivery_attempted') {
+    events.push({ offset: transitDays - 0.3, type: 'out_for_delivery', where: terminal, message: 'Out for delivery' });
+    events.push({ offset: transitDays - 0.1, type: 'delivery_attempted', where: terminal, message: 'Delivery attempted - notice card left' });
+    events.push({ offset: transitDays + 0.7, type: 'out_for_delivery', where: terminal, message: 'Out for delivery (second attempt)' });
+    events.push({ offset: transitDays + 0.9, type: 'delivered', where: terminal, message: 'Delivered' });
+  } else {
+    events.push({ offset: transitDays - 0.3, type: 'out_for_delivery', where: terminal, message: 'Out for delivery' });
+    events.push({ offset: transitDays - 0.1, type: 'delivered', where: terminal, message: 'Delivered' });
+  }
+  
+  // Simulated transit days → real timestamps, compressed by the acceleration factor
+  const dayMs = 24 * 60 * 60 * 1000 / TRACKING_TIME_ACCELERATION;
+  return events.map(event => ({ ...event, at: entry.issued_at + Math.round(event.offset * dayMs) }));
+}
+
+// Shipment state from the latest tracking event that has already happened
+function getTrackingState(events) {
+  const states = {
+    label_created: 'booked',
+    picked_up: 'picked_up',
+    departed: 'in_transit',
+    arrived: 'in_transit',
+    address_corrected: 'in_transit',
+    out_for_delivery: 'out_for_delivery',
+    address_correction: 'exception',
+    delivery_attempted: 'exception',
+    delivered: 'delivered'
+  };
+  const latest = events[events.length - 1];
+  return latest ? states[latest.type] : 'booked';
+}
+
+// Tracking events that have happened so far for a tracking number
+function getTrackingEvents(trackingNumber, exceptionOverride) {
+  const entry = trackingNumbers.get(trackingNumber);
+  const exception = exceptionOverride !== undefined
+    ? exceptionOverride
+    : entry.exception || getDestinationException(entry.destination);
+  
+  const timeline = buildTrackingTimeline(entry, exception);
+  return {
+    rate: entry.rate,
+    events: timeline.filter(event => event.at <= Date.now()),
+    estimatedDelivery: timeline[timeline.length - 1].at
+  };
+}
+
+// Current shipment state - follows the tracking timeline until cancelled
+function getShipmentState(shipment) {
+  if (shipment.cancelled_at) return 'cancelled';
+  return getTrackingState(getTrackingEvents(shipment.tracking_number).events);
+}
+
+// Tracking exception requested via X-Mock-Tracking-Exception ('none' disables destination rules)
+function getRequestedException(req) {
+  const header = (req.get('X-Mock-Tracking-Exception') || '').toLowerCase();
+  if (!header) return undefined;
+  return header === 'none' ? null : header;
+}
+
+// Shape a stored shipment for API responses
+function formatShipment(shipment) {
+  return {
+    id: shipment.id,
+    unique_id: shipment.unique_id,
+    state: getShipmentState(shipment),
+    rate_id: shipment.rate_id,
+    service_id: shipment.rate.service_id,
+    carrier_name: shipment.rate.carrier_name,
+    service_name: shipment.rate.service_name,
+    primary_tracking_number: shipment.tracking_number,
+    tracking_numbers: [shipment.tracking_number],
+    price: shipment.rate.total,
+    rate: shipment.rate,
+    booked_at: new Date(shipment.booked_at).toISOString(),
+    cancelled_at: shipment.cancelled_at ? new Date(shipment.cancelled_at).toISOString() : null
+  };
+}
+
+// Postal code formats by country (other countries just need a non-empty code)
+const POSTAL_CODE_FORMATS = {
+  CA: { pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/i, example: 'A1A 1A1' },
+  US: { pattern: /^\d{5}(-\d{4})?$/, example: '12345 or 12345-6789' }
+};
+
+// Freightcom { year, month, day } date
+const DATE_SCHEMA = {
+  type: 'object',
+  required: ['year', 'month', 'day'],
+  properties: {
+    year: { type: 'integer', minimum: 2000 },
+    month: { type: 'integer', minimum: 1, maximum: 12 },
+    day: { type: 'integer', minimum: 1, maximum: 31 }
+  }
+};
+
+// Freightcom { hour, minute } time of day
+const TIME_SCHEMA = {
+  type: 'object',
+  required: ['hour', 'minute'],
+  properties: {
+    hour: { type: 'integer', minimum: 0, maximum: 23 },
+    minute: { type: 'integer', minimum: 0, maximum: 59 }
+  }
+};
+
+// Address block shared by origin and destination
+const ADDRESS_SCHEMA = {
+  type: 'object',
+  required: ['city', 'country', 'postal_code'],
+  properties: {
+    address_line_1: { type: 'string' },
+    address_line_2: { type: 'string' },
+    unit_number: { type: 'string' },
+    city: { type: 'string' },
+    region: { type: 'string' },
+    country: { type: 'string', pattern: /^[A-Za-z]{2}$/, patternMessage: 'must be a two-letter country code' },
+    postal_code: { type: 'string' },
+    residential: { type: 'boolean' }
+  },
+  check: (address, path, errors) => {
+    const country = (address.country || '').toUpperCase();
+    const format = POSTAL_CODE_FORMATS[country];
+    if (format && typeof address.postal_code === 'string' && !format.pattern.test(address.postal_code.trim())) {
+      errors[`${path}.postal_code`] = `must be a valid ${country} postal code (${format.example})`;
+    }
+    if (['CA', 'US'].includes(country) && !address.region) {
+      errors[`${path}.region`] = 'is required';
+    } else if (country === 'CA' && address.region && !POSTAL_PREFIXES.CA_REGIONS[normalizeRegion(address.region)]) {
+      errors[`${path}.region`] = 'must be a Canadian province or territory';
+    }
+  }
+};
+
+// Origin/destination block
+const LOCATION_SCHEMA = {
+  type: 'object',
+  required: ['address'],
+  properties: {
+    name: { type: 'string' },
+    address: ADDRESS_SCHEMA,
+    residential: { type: 'boolean' },
+    tailgate_required: { type: 'boolean' },
+    instructions: { type: 'string' },
+    contact_name: { type: 'string' },
+    phone_number: { type: 'any' },
+    email_addresses: { type: 'array', items: { type: 'string' } },
+    receives_email_updates: { type: 'boolean' },
+    ready_at: { type: 'any' },
+    ready_until: { type: 'any' },
+    signature_requirement: { type: 'string' }
+  }
+};
+
+// Measurements for one package or pallet
+const MEASUREMENTS_SCHEMA = {
+  type: 'object',
+  required: ['weight', 'cuboid'],
+  properties: {
+    weight: {
+      type: 'object',
+      required: ['unit', 'value'],
+      properties: {
+        unit: { type: 'string', enum: Object.keys(WEIGHT_UNITS) },
+        value: { type: 'number', exclusiveMinimum: 0 }
+      }
+    },
+    cuboid: {
+      type: 'object',
+      required: ['unit', 'l', 'w', 'h'],
+      properties: {
+        unit: { type: 'string', enum: Object.keys(LENGTH_UNITS) },
+        l: { type: 'number', exclusiveMinimum: 0 },
+        w: { type: 'number', exclusiveMinimum: 0 },
+        h: { type: 'number', exclusiveMinimum: 0 }
+      }
+    }
+  }
+};
+
+// One package or pallet line, including the customs fields used on cross-border lanes
+const PIECE_SCHEMA = {
+  type: 'object',
+  required: ['measurements'],
+  properties: {
+    quantity: { type: 'integer', minimum: 1 },
+    measurements: MEASUREMENTS_SCHEMA,
+    volume: { type: 'number', exclusiveMinimum: 0 }, // cubic feet per piece (otherwise worked out from the cuboid)
+    description: { type: 'string' },
+    pallet_type: { type: 'string' },
+    freight_class: { type: 'string' },
+    stackable: { type: 'boolean' },
+    hs_code: { type: 'string' },
+    declared_value: { type: 'any' },
+    country_of_origin: { type: 'string' }
+  }
+};
+
+// What calculateWeightBasedRates prices: packages (parcel) or pallets (LTL)
+const PACKAGING_PROPERTIES_SCHEMA = {
+  type: 'object',
+  properties: {
+    packages: { type: 'array', minItems: 1, items: PIECE_SCHEMA },
+    pallets: { type: 'array', minItems: 1, items: PIECE_SCHEMA }
+  }
+};
+
+// sort_by orders for rate results (price, cheapest first, when the request doesn't name one)
+const RATE_SORT_ORDERS = ['price', 'transit', 'value'];
+
+// POST /rate request body, mirroring the Freightcom rate request
+const RATE_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['details'],
+  properties: {
+    services: { type: 'array', items: { type: 'string' } },
+    excluded_services: { type: 'array', items: { type: 'string' } },
+    currency: { type: 'string' },
+    optimize_mode: { type: 'boolean' },
+    max_transit_days: { type: 'integer', minimum: 1 },
+    required_delivery_date: DATE_SCHEMA,
+    max_price: {
+      type: 'object',
+      required: ['currency', 'value'],
+      properties: {
+        currency: { type: 'string' },
+        value: { type: 'string', pattern: /^\d+$/, patternMessage: 'must be a whole number of cents' }
+      }
+    },
+    guaranteed_only: { type: 'boolean' },
+    sort_by: { type: 'string', enum: RATE_SORT_ORDERS },
+    details: {
+      type: 'object',
+      required: ['destination', 'packaging_type', 'packaging_properties'],
+      properties: {
+        origin: LOCATION_SCHEMA,
+        destination: LOCATION_SCHEMA,
+        expected_ship_date: DATE_SCHEMA,
+        packaging_type: { type: 'string', enum: ['package', 'pallet'] },
+        packaging_properties: PACKAGING_PROPERTIES_SCHEMA,
+        insurance: { type: 'any' },
+        reference_codes: { type: 'array', items: { type: 'string' } },
+        accessorials: { type: 'array', items: { type: 'string', enum: ACCESSORIAL_TYPES } }
+      },
+      check: (details, path, errors) => {
+        const key = { package: 'packages', pallet: 'pallets' }[details.packaging_type];
+        if (key && details.packaging_properties && !details.packaging_properties[key]) {
+          errors[`${path}.packaging_properties.${key}`] = `is required for packaging_type ${details.packaging_type}`;
+        }
+      }
+    }
+  }
+};
+
+// Small JSON-schema style validator - collects { 'field.path': 'message' } errors
+function validateAgainstSchema(value, schema, path, errors, strict) {
+  const at = key => (path ? `${path}.${key}` : key);
+  
+  switch (schema.type) {
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        errors[path || 'body'] = 'must be an object';
+        return;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null || value[key] === '') {
+          errors[at(key)] = 'is required';
+        }
+      });
+      Object.keys(value).forEach(key => {
+        const child = schema.properties[key];
+        if (child) {
+          if (value[key] !== undefined && value[key] !== null) validateAgainstSchema(value[key], child, at(key), errors, strict);
+        } else if (strict) {
+          errors[at(key)] = 'is not a recognized field';
+        }
+      });
+      if (schema.check) schema.check(value, path, errors, schema);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors[path || 'body'] = 'must be an array';
+        return;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors[path] = `must contain at least ${schema.minItems} item(s)`;
+      }
+      value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors, strict));
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors[path] = 'must be a string';
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors[path] = `must be one of ${schema.enum.join(', ')}`;
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors[path] = schema.patternMessage || 'has an invalid format';
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors[path] = 'must be a number';
+      } else if (schema.type === 'integer' && !Number.isInteger(value)) {
+        errors[path] = 'must be a whole number';
+      } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors[path] = `must be greater than ${schema.exclusiveMinimum}`;
+      } else if (schema.minimum !== undefined && value < schema.minimum) {
+        errors[path] = `must be at least ${schema.minimum}`;
+      } else if (schema.maximum !== undefined && value > schema.maximum) {
+        errors[path] = `must be at most ${schema.maximum}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors[path] = 'must be true or false';
+      break;
+  }
+}
+
+// Field errors for a POST /rate body: schema first, then currency and cross-border customs rules
+function validateRateRequest(body, strict) {
+  const errors = {};
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { body: 'must be a JSON object' };
+  }
+  validateAgainstSchema(body, RATE_REQUEST_SCHEMA, '', errors, strict);
+  
+  if (body && typeof body.currency === 'string' && !exchangeRates.rates[body.currency.toUpperCase()]) {
+    errors.currency = `must be one of ${Object.keys(exchangeRates.rates).join(', ')}`;
+  }
+  if (typeof body.max_price?.currency === 'string' && !exchangeRates.rates[body.max_price.currency.toUpperCase()]) {
+    errors['max_price.currency'] = `must be one of ${Object.keys(exchangeRates.rates).join(', ')}`;
+  }
+  
+  // The schema only checks ranges - catch dates like February 30th
+  [['details.expected_ship_date', body.details?.expected_ship_date], ['required_delivery_date', body.required_delivery_date]].forEach(([field, date]) => {
+    const checked = !Object.keys(errors).some(key => key.startsWith(field));
+    if (date && checked && fromCalendarDate(toCalendarDate(date)).day !== date.day) {
+      errors[field] = 'is not a valid date';
+    }
+  });
+  
+  if (body.optimize_mode && body.details?.packaging_type !== 'package') {
+    errors.optimize_mode = 'needs packaging_type package (the line items to palletize)';
+  }
+  
+  // Customs rules need a structurally valid request to look at
+  if (Object.keys(errors).length === 0) {
+    Object.assign(errors, validateCustomsData(body.details, resolveOrigin(body.details)));
+  }
+  
+  return errors;
+}
+
+// Strict mode for this request - header wins over the STRICT_VALIDATION default
+function isStrictValidation(req) {
+  const header = req.get('X-Mock-Strict-Validation');
+  return header === undefined ? STRICT_VALIDATION : header === 'true';
+}
+
+// HMAC-SHA256 signature header value: t=<unix seconds>,v1=<hex of "t.body">
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// POST a JSON body to a URL, resolving with the status code (rejects on network errors/timeouts)
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Attempt one webhook delivery, scheduling a retry with backoff on failure
+function attemptWebhookDelivery(delivery) {
+  const webhook = webhooks.get(delivery.webhook_id);
+  if (!webhook) {
+    delivery.status = 'abandoned';
+    delivery.next_attempt_at = null;
+    saveWebhookDelivery(delivery);
+    return;
+  }
+  
+  const started = Date.now();
+  const timestamp = Math.floor(started / 1000);
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date(started).toISOString() };
+  delivery.attempts.push(attempt);
+  
+  postJson(webhook.url, delivery.body, {
+    'X-Freightcom-Event': delivery.event,
+    'X-Freightcom-Delivery': delivery.id,
+    'X-Freightcom-Signature': signWebhookPayload(webhook.secret, timestamp, delivery.body)
+  })
+    .then(statusCode => {
+      attempt.status_code = statusCode;
+      if (statusCode < 200 || statusCode >= 300) throw new Error(`Receiver responded with ${statusCode}`);
+    })
+    .then(() => {
+      attempt.duration_ms = Date.now() - started;
+      delivery.status = 'delivered';
+      delivery.next_attempt_at = null;
+      saveWebhookDelivery(delivery);
+      console.log(`📨 Webhook ${delivery.event} delivered to ${webhook.url} (attempt ${attempt.attempt})`);
+    })
+    .catch(err => {
+      attempt.duration_ms = Date.now() - started;
+      attempt.error = err.message;
+      
+      if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.next_attempt_at = null;
+        saveWebhookDelivery(delivery);
+        console.log(`❌ Webhook ${delivery.event} to ${webhook.url} failed after ${delivery.attempts.length} attempts: ${err.message}`);
+        return;
+      }
+      
+      const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, delivery.attempts.length - 1);
+      delivery.status = 'retrying';
+      delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+      saveWebhookDelivery(delivery);
+      console.log(`🔁 Webhook ${delivery.event} to ${webhook.url} failed (${err.message}), retrying in ${delay}ms`);
+      setTimeout(() => attemptWebhookDelivery(delivery), delay);
+    });
+}
+
+// Queue an event for every webhook the account (null when auth is off) subscribed to it
+function dispatchWebhookEvent(event, data, accountId) {
+  const eventId = uuidv4();
+  const body = JSON.stringify({
+    id: eventId,
+    type: event,
+    created_at: new Date().toISOString(),
+    data: data
+  });
+  
+  [...webhooks.values()].forEach(webhook => {
+    if (!webhook.events.includes(event) || webhook.account_id !== accountId) return;
+    
+    const delivery = {
+      id: uuidv4(),
+      webhook_id: webhook.id,
+      account_id: accountId,
+      event: event,
+      event_id: eventId,
+      body: body,
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: null,
+      created: Date.now()
+    };
+    webhookDeliveries.set(delivery.id, delivery);
+    trimWebhookDeliveries(webhook.id);
+    attemptWebhookDelivery(delivery);
+  });
+}
+
+// Keep only the newest WEBHOOK_DELIVERY_HISTORY deliveries of a webhook (the Map keeps insertion order)
+function trimWebhookDeliveries(webhookId) {
+  const deliveries = [...webhookDeliveries.values()].filter(d => d.webhook_id === webhookId);
+  deliveries.slice(0, Math.max(0, deliveries.length - WEBHOOK_DELIVERY_HISTORY))
+    .forEach(delivery => webhookDeliveries.delete(delivery.id));
+}
+
+// Store a delivery's progress - unless it has been trimmed from the log in the meantime
+function saveWebhookDelivery(delivery) {
+  if (webhookDeliveries.has(delivery.id)) webhookDeliveries.set(delivery.id, delivery);
+}
+
+// Deliveries that were pending or retrying when the server stopped (file storage) carry on
+[...webhookDeliveries.values()]
+  .filter(delivery => ['pending', 'retrying'].includes(delivery.status))
+  .forEach(delivery => setTimeout(attemptWebhookDelivery, Math.max(0, Date.parse(delivery.next_attempt_at) - Date.now()) || 0, delivery));
+
+// Shape a webhook subscription for API responses (the secret is only shown on creation)
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    created_at: new Date(webhook.created).toISOString()
+  };
+}
+
+// API keys and the accounts they belong to
+const accountConfig = loadJsonConfig('accounts.json', { default_rate_limit: { requests: 120, window_seconds: 60 }, accounts: {}, keys: {} });
+
+// Keys are required whenever some are configured (AUTH_ENABLED=true/false overrides)
+const AUTH_ENABLED = process.env.AUTH_ENABLED
+  ? process.env.AUTH_ENABLED === 'true'
+  : Object.keys(accountConfig.keys).length > 0;
+
+Object.entries(accountConfig.keys).forEach(([key, entry]) => {
+  if (!accountConfig.accounts[entry.account]) {
+    throw new Error(`API key ${key.slice(0, 8)}… in accounts.json belongs to unknown account "${entry.account}"`);
+  }
+});
+Object.entries(accountConfig.accounts).forEach(([accountId, account]) => {
+  Object.entries(account.discounts || {}).forEach(([carrierId, discount]) => {
+    if (!(Number.isFinite(discount) && discount >= 0 && discount < 1)) {
+      throw new Error(`Discount for ${carrierId} on account "${accountId}" in accounts.json must be a fraction between 0 and 1`);
+    }
+  });
+});
+
+// Request counts per key for the current rate-limit window
+const rateLimitWindows = new Map();
+
+// API key from the Authorization header (a bare key, as the real API takes it, or "Bearer <key>")
+function getApiKey(req) {
+  const header = req.get('Authorization') || '';
+  return header.replace(/^Bearer\s+/i, '').trim();
+}
+
+// Count a request against its key's window - returns the seconds to wait when over the limit
+function checkRateLimit(key, limit, res) {
+  const now = Date.now();
+  let window = rateLimitWindows.get(key);
+  if (!window || now >= window.resets_at) {
+    window = { count: 0, resets_at: now + limit.window_seconds * 1000 };
+    rateLimitWindows.set(key, window);
+  }
+  
+  window.count += 1;
+  res.set('X-RateLimit-Limit', String(limit.requests));
+  res.set('X-RateLimit-Remaining', String(Math.max(0, limit.requests - window.count)));
+  res.set('X-RateLimit-Reset', String(Math.ceil(window.resets_at / 1000)));
+  
+  return window.count > limit.requests ? Math.ceil((window.resets_at - now) / 1000) : 0;
+}
+
+// Authentication and per-key rate limiting for the API (the root, health and OpenAPI endpoints stay open,
+// as does the admin UI page - it holds no data and asks for a key). The admin endpoints also need a key
+// flagged "admin" in accounts.json
+app.use((req, res, next) => {
+  if (!AUTH_ENABLED || ['/', '/health', '/openapi.json'].includes(req.path)) return next();
+  if (req.method === 'GET' && req.path === '/admin') return next();
+  
+  const key = getApiKey(req);
+  const entry = key && accountConfig.keys[key];
+  if (!entry) {
+    console.log(`🔒 401 - ${key ? 'unknown' : 'missing'} API key for ${req.method} ${req.path}`);
+    return res.status(401).json({ message: 'Unauthorized', data: { Authorization: key ? 'API key is not valid' : 'API key is required' } });
+  }
+  
+  const account = accountConfig.accounts[entry.account];
+  if (account.suspended) {
+    console.log(`🔒 403 - account ${entry.account} is suspended`);
+    return res.status(403).json({ message: 'Forbidden', data: { account: 'account is suspended' } });
+  }
+  if (entry.read_only && req.method !== 'GET') {
+    console.log(`🔒 403 - read-only key for ${req.method} ${req.path}`);
+    return res.status(403).json({ message: 'Forbidden', data: { Authorization: 'API key is read-only' } });
+  }
+  if (req.path.startsWith('/admin') && entry.admin !== true) {
+    console.log(`🔒 403 - ${req.method} ${req.path} needs an admin key`);
+    return res.status(403).json({ message: 'Forbidden', data: { Authorization: 'API key is not an admin key' } });
+  }
+  
+  const retryAfter = checkRateLimit(key, entry.rate_limit || accountConfig.default_rate_limit, res);
+  if (retryAfter > 0) {
+    console.log(`🔒 429 - rate limit reached for account ${entry.account}`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message: 'Too many requests', data: { retry_after: retryAfter } });
+  }
+  
+  req.account = { id: entry.account, ...account };
+  next();
+});
+
+// Records created by one account are invisible to the others (no account when auth is off)
+function isVisibleTo(record, req) {
+  return !req.account || record.account_id === req.account.id;
+}
+
+// Fault-injection scenarios, selected per request (X-Mock-Scenario) or globally (POST /admin/scenario)
+const scenarioConfig = loadJsonConfig('scenarios.json', { scenarios: {} });
+
+// How a malformed rate is broken
+const RATE_MALFORMATIONS = ['missing_total', 'non_numeric_total', 'negative_total', 'missing_service_id', 'missing_currency', 'text_transit_time'];
+
+// Field-level problems with a scenario definition (empty when it's valid)
+function validateScenario(scenario) {
+  const errors = {};
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+    return { scenario: 'must be an object' };
+  }
+  
+  ['response_latency', 'completion_latency'].forEach(field => {
+    if (scenario[field] !== undefined) Object.assign(errors, validateLatency(scenario[field], field));
+  });
+  
+  ['error_probability', 'rate_limit_probability', 'malformed_rate_probability', 'service_error_probability'].forEach(field => {
+    const value = scenario[field];
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0 && value <= 1)) errors[field] = 'must be a probability between 0 and 1';
+  });
+  
+  if (scenario.retry_after_seconds !== undefined && !(Number.isInteger(scenario.retry_after_seconds) && scenario.retry_after_seconds >= 0)) {
+    errors.retry_after_seconds = 'must be a whole number of seconds';
+  }
+  if (scenario.never_complete !== undefined && !(Array.isArray(scenario.never_complete) && scenario.never_complete.every(id => typeof id === 'string'))) {
+    errors.never_complete = 'must be a list of carrier ids (or "*" for every carrier)';
+  }
+  if (scenario.seed !== undefined && !['string', 'number'].includes(typeof scenario.seed)) {
+    errors.seed = 'must be a string or number';
+  }
+  
+  return errors;
+}
+
+Object.entries(scenarioConfig.scenarios).forEach(([name, scenario]) => {
+  const errors = validateScenario(scenario);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(`Invalid scenario "${name}" in scenarios.json: ${JSON.stringify(errors)}`);
+  }
+});
+
+// Scenario applied to requests without an X-Mock-Scenario header (null = normal behaviour)
+let activeScenario = null;
+
+// Seeded random streams, one per scenario + seed, so a run replays the same faults in the same order
+const scenarioStreams = new Map();
+
+// Small deterministic PRNG (mulberry32) - returns floats in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Any seed (string or number) as a 32-bit integer
+function hashSeed(seed) {
+  return parseInt(crypto.createHash('sha256').update(String(seed)).digest('hex').slice(0, 8), 16);
+}
+
+// Random stream for a scenario, created on first use
+function getScenarioStream(scenario) {
+  const key = `${scenario.name}:${scenario.seed}`;
+  if (!scenarioStreams.has(key)) {
+    scenarioStreams.set(key, createRandom(hashSeed(key)));
+  }
+  return scenarioStreams.get(key);
+}
+
+// Scenario for a request: the X-Mock-Scenario header ('none' opts out) or the global one.
+// X-Mock-Seed overrides the scenario's seed
+function resolveScenario(req) {
+  const name = req.get('X-Mock-Scenario');
+  const seedHeader = req.get('X-Mock-Seed');
+  
+  let scenario = activeScenario;
+  if (name !== undefined) {
+    if (name.toLowerCase() === 'none') return null;
+    const definition = scenarioConfig.scenarios[name];
+    if (!definition) {
+      const error = new Error(`Unknown scenario "${name}"`);
+      error.available = Object.keys(scenarioConfig.scenarios);
+      throw error;
+    }
+    scenario = { name, definition, seed: definition.seed ?? 0 };
+  }
+  
+  if (scenario && seedHeader !== undefined) {
+    scenario = { ...scenario, seed: seedHeader };
+  }
+  return scenario;
+}
+
+// Break a rate the way a misbehaving carrier integration might
+function malformRate(rate, random) {
+  const kind = RATE_MALFORMATIONS[Math.floor(random() * RATE_MALFORMATIONS.length)];
+  const broken = JSON.parse(JSON.stringify(rate));
+  
+  switch (kind) {
+    case 'missing_total':
+      delete broken.total;
+      break;
+    case 'non_numeric_total':
+      broken.total.value = 'N/A';
+      break;
+    case 'negative_total':
+      broken.total.value = `-${broken.total.value}`;
+      break;
+    case 'missing_service_id':
+      delete broken.service_id;
+      break;
+    case 'missing_currency':
+      delete broken.total.currency;
+      break;
+    case 'text_transit_time':
+      broken.transit_time_days = `${broken.transit_time_days} business days`;
+      break;
+  }
+  
+  console.log(`🧪 Malformed ${rate.service_id} rate (${kind})`);
+  return broken;
+}
+
+// Scenario faults for API requests: latency, then maybe a 429 or 500 instead of the real response
+app.use((req, res, next) => {
+  if (['/', '/health', '/openapi.json'].includes(req.path) || req.path.startsWith('/admin')) return next();
+  
+  let scenario;
+  try {
+    scenario = resolveScenario(req);
+  } catch (err) {
+    return res.status(400).json({ message: err.message, data: { 'X-Mock-Scenario': `must be one of: none, ${err.available.join(', ')}` } });
+  }
+  req.scenario = scenario;
+  if (!scenario) return next();
+  
+  // Every decision is drawn up front so the stream advances the same way whatever happens
+  const random = getScenarioStream(scenario);
+  const definition = scenario.definition;
+  const delay = sampleLatency(definition.response_latency, random);
+  const rateLimited = random() < (definition.rate_limit_probability || 0);
+  const failed = random() < (definition.error_probability || 0);
+  
+  setTimeout(() => {
+    if (rateLimited) {
+      const retryAfter = definition.retry_after_seconds ?? 1;
+      console.log(`🧪 Scenario ${scenario.name}: 429 for ${req.method} ${req.path}`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many requests', data: { retry_after: retryAfter } });
+    }
+    if (failed) {
+      console.log(`🧪 Scenario ${scenario.name}: 500 for ${req.method} ${req.path}`);
+      return res.status(500).json({
+        message: 'Shipping rate calculation temporarily unavailable',
+        error: 'Please try again or contact support'
+      });
+    }
+    next();
+  }, delay);
+});
+
+// Show the global scenario and the ones available
+app.get('/admin/scenario', (req, res) => {
+  res.status(200).json({
+    active: activeScenario,
+    available: Object.entries(scenarioConfig.scenarios).map(([name, scenario]) => ({ name, description: scenario.description || null }))
+  });
+});
+
+// Set the global scenario - by name, or an inline definition - and restart its random stream
+app.post('/admin/scenario', (req, res) => {
+  const { name, scenario, seed } = req.body || {};
+  
+  let definition = scenario;
+  if (name !== undefined) {
+    definition = scenarioConfig.scenarios[name];
+    if (!definition) {
+      return res.status(400).json({ message: `Unknown scenario "${name}"`, data: { name: `must be one of: ${Object.keys(scenarioConfig.scenarios).join(', ')}` } });
+    }
+  } else {
+    const errors = validateScenario(scenario);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: 'Invalid scenario', data: errors });
+    }
+  }
+  
+  activeScenario = { name: name || 'custom', definition, seed: seed ?? definition.seed ?? 0 };
+  scenarioStreams.delete(`${activeScenario.name}:${activeScenario.seed}`);
+  console.log(`🧪 Global scenario set to ${activeScenario.name} (seed ${activeScenario.seed})`);
+  
+  res.status(200).json({ active: activeScenario });
+});
+
+// Back to normal behaviour
+app.delete('/admin/scenario', (req, res) => {
+  activeScenario = null;
+  console.log('🧪 Global scenario cleared');
+  res.status(200).json({ active: null });
+});
+
+// Default time a carrier takes to answer when its catalog entry has no quote_latency
+const DEFAULT_QUOTE_LATENCY = { distribution: 'uniform', min: 400, max: 1600 };
+
+// Why a service in the request produced no rate
+function getUnquotedReason(serviceId, details, packingPlan) {
+  const carrierInfo = getCarrierInfo(serviceId);
+  const mode = details.packaging_type === 'package' ? 'parcel' : 'ltl';
+  const destCountry = getCountry(details.destination.address);
+  
+  if (!carrierInfo.mode) {
+    return `Unknown service ${serviceId}`;
+  }
+  if (packingPlan && carrierInfo.mode === 'ltl' && packingPlan.unpalletizable_lines.length > 0) {
+    return `Line(s) ${packingPlan.unpalletizable_lines.join(', ')} don't fit on a ${PALLET_FOOTPRINT.l}x${PALLET_FOOTPRINT.w} pallet`;
+  }
+  if (carrierInfo.mode !== mode && !(packingPlan && carrierInfo.mode === 'ltl')) {
+    return `Service not available for ${details.packaging_type} shipments`;
+  }
+  if (carrierInfo.countries && !carrierInfo.countries.includes(destCountry)) {
+    return `${carrierInfo.carrier} does not deliver to ${destCountry}`;
+  }
+  
+  const unsupported = getRequestedAccessorials(details).filter(type => carrierInfo.accessorials[type] === undefined);
+  if (unsupported.length > 0) {
+    return `${carrierInfo.carrier} does not offer ${unsupported.join(', ')}`;
+  }
+  return 'No rate available';
+}
+
+// Ship date for delivery estimates: the expected one, or today at the origin - moved to the next business day
+function getShipDate(details) {
+  const location = getPickupLocation(resolveOrigin(details));
+  let date = details.expected_ship_date ? toCalendarDate(details.expected_ship_date) : getLocalNow(location.timeZone).date;
+  while (getNonBusinessDayReason(date, location.country, location.province)) date += DAY_MS;
+  return date;
+}
+
+// Delivery date after some business days in transit - weekends and the destination's holidays don't count
+function getEstimatedDeliveryDate(shipDate, transitDays, destination) {
+  const country = getCountry(destination);
+  const province = normalizeRegion(destination.region);
+  let date = shipDate;
+  for (let i = 0; i < transitDays; i++) {
+    date += DAY_MS;
+    while (getNonBusinessDayReason(date, country, province)) date += DAY_MS;
+  }
+  return date;
+}
+
+// Why a rate breaks the request's shopping rules (null when it qualifies)
+function getRuleViolation(rate, request) {
+  const carrierInfo = getCarrierInfo(rate.service_id);
+  
+  if (request.guaranteed_only && !carrierInfo.guaranteed) {
+    return `${carrierInfo.carrier} ${carrierInfo.service} is not a guaranteed service`;
+  }
+  if (request.max_transit_days != null && rate.transit_time_days > request.max_transit_days) {
+    return `Transit time of ${rate.transit_time_days} business days is over max_transit_days (${request.max_transit_days})`;
+  }
+  if (request.required_delivery_date && toCalendarDate(rate.estimated_delivery_date) > toCalendarDate(request.required_delivery_date)) {
+    return `Estimated delivery on ${formatCalendarDate(toCalendarDate(rate.estimated_delivery_date))} is after required_delivery_date (${formatCalendarDate(toCalendarDate(request.required_delivery_date))})`;
+  }
+  if (request.max_price) {
+    const cap = Math.round(convertCurrency(parseInt(request.max_price.value), request.max_price.currency.toUpperCase(), rate.total.currency));
+    if (parseInt(rate.total.value) > cap) {
+      return `Total of ${(rate.total.value / 100).toFixed(2)} ${rate.total.currency} is over max_price (${(cap / 100).toFixed(2)} ${rate.total.currency})`;
+    }
+  }
+  return null;
+}
+
+// Rates in sort_by order. Best value scores 70% on price and 30% on speed, each against the best
+// rate in the set (100 = cheapest and fastest). Malformed totals or transit times sort last.
+function sortRates(rates, sortBy = 'price') {
+  const price = rate => parseInt(rate.total?.value);
+  const transit = rate => rate.transit_time_days;
+  const usable = value => Number.isFinite(value) && value > 0;
+  const cheapest = Math.min(...rates.map(price).filter(usable));
+  const fastest = Math.min(...rates.map(transit).filter(usable));
+  
+  const scored = rates.map(rate => {
+    if (sortBy !== 'value') return rate;
+    const valueScore = usable(price(rate)) && usable(transit(rate))
+      ? Math.round(100 * (0.7 * cheapest / price(rate) + 0.3 * fastest / transit(rate)))
+      : null;
+    return { ...rate, value_score: valueScore };
+  });
+  
+  const keys = {
+    price: rate => [price(rate), transit(rate)],
+    transit: rate => [transit(rate), price(rate)],
+    value: rate => [rate.value_score === null ? Infinity : -rate.value_score, price(rate)]
+  }[sortBy];
+  const sortKey = rate => keys(rate).map(value => (Number.isFinite(value) ? value : Infinity));
+  
+  return scored
+    .map((rate, i) => ({ rate, i, key: sortKey(rate) }))
+    .sort((a, b) => a.key[0] - b.key[0] || a.key[1] - b.key[1] || a.i - b.i)
+    .map(entry => entry.rate);
+}
+
+// Price every service up front and decide when (and whether) each one answers.
+// Each quote is { service_id, ready_at, rate, message } - ready_at null means it never completes.
+// With a packing plan (optimize mode) LTL services are also priced on the built pallets.
+// Rates that break the request's shopping rules answer as failures saying why
+function planRateQuotes(request, scenario, account, packingPlan) {
+  const { details } = request;
+  const services = (request.services || []).map(serviceId => serviceId.toUpperCase());
+  const excludedServices = (request.excluded_services || []).map(serviceId => serviceId.toUpperCase());
+  const currency = (request.currency || 'CAD').toUpperCase();
+  const now = Date.now();
+  const shipDate = getShipDate(details);
+  const rateFor = (packagingType, packagingProperties) => calculateWeightBasedRates(
+    packagingType,
+    resolveOrigin(details),
+    details.destination.address,
+    packagingProperties,
+    getRequestedAccessorials(details),
+    account ? account.discounts || {} : {}
+  ).map(rate => ({
+    ...convertRateCurrency(rate, currency),
+    estimated_delivery_date: fromCalendarDate(getEstimatedDeliveryDate(shipDate, rate.transit_time_days, details.destination.address))
+  }));
+  
+  const rates = rateFor(details.packaging_type, details.packaging_properties);
+  if (packingPlan && packingPlan.pallets.length > 0 && packingPlan.unpalletizable_lines.length === 0) {
+    rates.push(...rateFor('pallet', getPlanPackagingProperties(packingPlan, details.packaging_properties.packages)));
+  }
+  
+  // Services queried: the ones asked for, or every catalog service for the packaging type (both modes when optimizing)
+  const mode = details.packaging_type === 'package' ? 'parcel' : 'ltl';
+  const catalogServices = packingPlan ? [...getCatalogServices('parcel'), ...getCatalogServices('ltl')] : getCatalogServices(mode);
+  const serviceIds = (services.length > 0 ? services : catalogServices.map(service => service.id.toUpperCase()))
+    .filter(serviceId => !excludedServices.includes(serviceId));
+  
+  // Scenario decisions come from the request's own seed so a restart replays the same outcome
+  const random = scenario ? createRandom(scenario.seed) : Math.random;
+  const silent = scenario ? scenario.never_complete : [];
+  
+  return serviceIds.map(serviceId => {
+    const rate = rates.find(r => r.service_id === serviceId);
+    const carrierInfo = getCarrierInfo(serviceId);
+    
+    // Services that can't be quoted fail straight away, without asking the carrier
+    if (!rate) {
+      return { service_id: serviceId, ready_at: now, rate: null, message: getUnquotedReason(serviceId, details, packingPlan) };
+    }
+    
+    const latency = scenario && scenario.completion_latency ? scenario.completion_latency : carrierInfo.quoteLatency || DEFAULT_QUOTE_LATENCY;
+    const readyAt = now + sampleLatency(latency, random);
+    
+    if (silent.includes('*') || silent.includes(carrierInfo.carrierId)) {
+      return { service_id: serviceId, ready_at: null, rate: null, message: null };
+    }
+    if (scenario && random() < scenario.service_error_probability) {
+      return { service_id: serviceId, ready_at: readyAt, rate: null, message: `${carrierInfo.carrier} rating service returned an error` };
+    }
+    const violation = getRuleViolation(rate, request);
+    if (violation) {
+      return { service_id: serviceId, ready_at: readyAt, rate: null, message: violation };
+    }
+    if (scenario && random() < scenario.malformed_rate_probability) {
+      return { service_id: serviceId, ready_at: readyAt, rate: malformRate(rate, random), message: null };
+    }
+    return { service_id: serviceId, ready_at: readyAt, rate: rate, message: null };
+  });
+}
+
+// Polling view of a rate request: what has answered so far, cheapest first (or in sort_by order)
+function getRateProgress(rateRequest) {
+  if (rateRequest.replayed_response) return rateRequest.replayed_response;
+  
+  const sortBy = rateRequest.request.sort_by;
+  const present = progress => {
+    const sorted = { ...progress, rates: sortRates(progress.rates, sortBy) };
+    return rateRequest.packing_plan
+      ? { ...sorted, recommendation: getModeRecommendation(sorted.rates, rateRequest.packing_plan) }
+      : sorted;
+  };
+  
+  if (rateRequest.status === 'completed') {
+    const complete = rateRequest.rates.length + rateRequest.failures.length;
+    return present({ status: { done: true, total: complete, complete: complete }, rates: rateRequest.rates, failures: rateRequest.failures });
+  }
+  
+  const now = Date.now();
+  const answered = rateRequest.quotes
+    .filter(quote => quote.ready_at !== null && quote.ready_at <= now)
+    .sort((a, b) => a.ready_at - b.ready_at);
+  
+  return present({
+    status: { done: answered.length === rateRequest.quotes.length, total: rateRequest.quotes.length, complete: answered.length },
+    rates: answered.filter(quote => quote.rate).map(quote => quote.rate),
+    failures: answered.filter(quote => !quote.rate).map(quote => ({ service_id: quote.service_id, message: quote.message }))
+  });
+}
+
+// Once every service has answered, store the final rates and announce them
+function completeRateRequest(requestId) {
+  const rateRequest = rateRequests.get(requestId);
+  if (!rateRequest || rateRequest.status !== 'processing') return;
+  
+  // The timer can fire a moment before the slowest service's ready_at - check again then
+  const progress = getRateProgress(rateRequest);
+  if (!progress.status.done) return scheduleRateCompletion(rateRequest);
+  
+  saveRateRequest({
+    id: requestId,
+    request: rateRequest.request,
+    account_id: rateRequest.account_id,
+    status: 'completed',
+    scenario: rateRequest.scenario,
+    rates: progress.rates,
+    failures: progress.failures,
+    packing_plan: rateRequest.packing_plan,
+    fixture_name: rateRequest.fixture_name,
+    created: rateRequest.created
+  });
+  
+  console.log(`✅ Generated ${progress.rates.length} WEIGHT-BASED rates for ${rateRequest.request.details.destination.address.city}`);
+  
+  if (FIXTURE_MODE === 'record') recordFixture(rateRequest, progress);
+  
+  dispatchWebhookEvent('rate.completed', { request_id: requestId, ...progress }, rateRequest.account_id);
+}
+
+// Complete a rate request when its slowest service answers (never, if one is silent)
+function scheduleRateCompletion(rateRequest) {
+  if (rateRequest.quotes.some(quote => quote.ready_at === null)) {
+    const silent = rateRequest.quotes.filter(quote => quote.ready_at === null).map(quote => quote.service_id);
+    console.log(`🧪 Scenario ${rateRequest.scenario.name}: ${silent.join(', ')} will never complete`);
+    return;
+  }
+  
+  const lastReady = Math.max(...rateRequest.quotes.map(quote => quote.ready_at));
+  setTimeout(completeRateRequest, Math.max(0, lastReady - Date.now()), rateRequest.id);
+}
+
+// Golden fixtures: 'record' saves each completed rate request and its response to FIXTURES_DIR,
+// 'replay' answers POST /rate from those recordings verbatim instead of pricing ('off' by default)
+const FIXTURE_MODE = (process.env.FIXTURE_MODE || 'off').toLowerCase();
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+if (!['off', 'record', 'replay'].includes(FIXTURE_MODE)) {
+  throw new Error(`FIXTURE_MODE must be off, record or replay (got "${FIXTURE_MODE}")`);
+}
+
+// Same request, same hash - whatever order the keys were sent in
+function hashRequest(body) {
+  const canonical = value => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(body))).digest('hex');
+}
+
+// Fixture name from X-Fixture-Name (letters, digits, dot, dash, underscore), if one was sent
+function getFixtureName(req) {
+  const name = req.get('X-Fixture-Name');
+  return name && /^[\w.-]{1,100}$/.test(name) ? name : null;
+}
+
+// Every fixture in FIXTURES_DIR, read fresh so new recordings are picked up without a restart.
+// A file that isn't a fixture is skipped (and logged) rather than breaking every replay
+function readFixtures() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .flatMap(file => {
+      try {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+        if (!isObject(fixture) || typeof fixture.name !== 'string' || !isObject(fixture.request) || !isObject(fixture.response)) {
+          throw new Error('expected an object with a name, request and response');
+        }
+        return [{ ...fixture, file, request_hash: hashRequest(fixture.request) }];
+      } catch (err) {
+        console.error(`❌ Skipping unreadable fixture ${file}: ${err.message}`);
+        return [];
+      }
+    });
+}
+
+// Save a completed rate request as <name>.json (the rate request ID when it wasn't named)
+function recordFixture(rateRequest, response) {
+  const name = rateRequest.fixture_name || rateRequest.id;
+  const fixture = {
+    name: name,
+    recorded_at: new Date().toISOString(),
+    account_id: rateRequest.account_id || null,
+    scenario: rateRequest.scenario ? rateRequest.scenario.name : null,
+    request: rateRequest.request,
+    response: response
+  };
+  
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURES_DIR, `${name}.json`), JSON.stringify(fixture, null, 2) + '\n');
+  console.log(`📼 Recorded fixture ${name}`);
+}
+
+// The recording to replay for a request: by X-Fixture-Name, or the one recorded from an identical body
+function findFixture(req) {
+  const fixtures = readFixtures();
+  const name = getFixtureName(req);
+  if (name) return fixtures.find(fixture => fixture.name === name) || null;
+  
+  const hash = hashRequest(req.body);
+  return fixtures.find(fixture => fixture.request_hash === hash) || null;
+}
+
+// Fields compared between a recorded rate and a re-priced one, flattened to 'path': value.
+// valid_until always moves; the delivery date only holds still when the request pins the ship date
+function flattenRateForComparison(rate, request) {
+  const money = amount => (amount ? `${amount.value} ${amount.currency}` : null);
+  const fields = {
+    total: money(rate.total),
+    base: money(rate.base),
+    transit_time_days: rate.transit_time_days,
+    zone: rate.zone ? rate.zone.zone : null
+  };
+  (rate.surcharges || []).forEach(surcharge => { fields[`surcharges.${surcharge.type}`] = money(surcharge.amount); });
+  (rate.taxes || []).forEach(tax => { fields[`taxes.${tax.type}`] = money(tax.amount); });
+  Object.entries(rate.measurements_used || {}).forEach(([key, value]) => {
+    fields[`measurements_used.${key}`] = value && typeof value === 'object' ? `${value.value} ${value.unit}` : value;
+  });
+  if (request.details.expected_ship_date && rate.estimated_delivery_date) {
+    fields.estimated_delivery_date = formatCalendarDate(toCalendarDate(rate.estimated_delivery_date));
+  }
+  return fields;
+}
+
+// Re-price a fixture's request with the current engine (no scenario, no carrier latency) and
+// list what moved per service: added, removed, or changed fields with recorded → current values
+function compareFixture(fixture) {
+  const request = fixture.request;
+  const account = fixture.account_id ? accountConfig.accounts[fixture.account_id] || null : null;
+  const packingPlan = request.optimize_mode ? buildPackingPlan(request.details.packaging_properties.packages) : null;
+  const quotes = planRateQuotes(request, null, account, packingPlan);
+  
+  const outcomes = (rates, failures) => new Map([
+    ...failures.map(failure => [failure.service_id, { message: failure.message }]),
+    ...rates.filter(rate => rate.service_id).map(rate => [rate.service_id, { rate }])
+  ]);
+  const recorded = outcomes(fixture.response.rates || [], fixture.response.failures || []);
+  const current = outcomes(
+    quotes.filter(quote => quote.rate).map(quote => quote.rate),
+    quotes.filter(quote => !quote.rate).map(quote => ({ service_id: quote.service_id, message: quote.message }))
+  );
+  
+  const diffs = [];
+  new Set([...recorded.keys(), ...current.keys()]).forEach(serviceId => {
+    const before = recorded.get(serviceId);
+    const after = current.get(serviceId);
+    
+    if (!before?.rate && after?.rate) {
+      diffs.push({ service_id: serviceId, change: 'added', message: before ? `was: ${before.message}` : null });
+    } else if (before?.rate && !after?.rate) {
+      diffs.push({ service_id: serviceId, change: 'removed', message: after ? after.message : null });
+    } else if (before?.rate && after?.rate) {
+      const was = flattenRateForComparison(before.rate, request);
+      const now = flattenRateForComparison(after.rate, request);
+      const fields = [...new Set([...Object.keys(was), ...Object.keys(now)])]
+        .filter(field => JSON.stringify(was[field]) !== JSON.stringify(now[field]))
+        .map(field => ({ field, recorded: was[field] ?? null, current: now[field] ?? null }));
+      if (fields.length > 0) diffs.push({ service_id: serviceId, change: 'changed', fields });
+    }
+  });
+  
+  return { name: fixture.name, file: fixture.file, matches: diffs.length === 0, diffs };
+}
+
+// Rate request endpoint
+app.post('/rate', (req, res) => {
+  const errors = validateRateRequest(req.body, isStrictValidation(req));
+  if (Object.keys(errors).length > 0) {
+    console.log('⚠️  Rejected rate request:', errors);
+    return res.status(400).json({ message: 'Validation failed', data: errors });
+  }
+  
+  const requestId = uuidv4();
+  const { details } = req.body;
+  
+  // Replay mode answers from the recordings - the response is complete straight away
+  if (FIXTURE_MODE === 'replay') {
+    const fixture = findFixture(req);
+    if (!fixture) {
+      console.log('📼 No fixture recorded for this request');
+      return res.status(404).json({ message: 'No recorded response for this request', data: { fixture: getFixtureName(req) ? 'no fixture with this X-Fixture-Name' : 'no fixture recorded with this request body' } });
+    }
+    
+    saveRateRequest({
+      id: requestId,
+      request: req.body,
+      account_id: req.account ? req.account.id : null,
+      status: 'completed',
+      rates: fixture.response.rates || [],
+      failures: fixture.response.failures || [],
+      replayed_response: fixture.response,
+      fixture_name: fixture.name,
+      created: Date.now()
+    });
+    console.log(`📼 Replaying fixture ${fixture.name}`);
+    dispatchWebhookEvent('rate.completed', { request_id: requestId, ...fixture.response }, req.account ? req.account.id : null);
+    
+    return res.status(202).json({ request_id: requestId });
+  }
+  
+  console.log('📦 Rate request for packaging type:', details.packaging_type);
   console.log('🏠 Destination:', details.destination.address.city, details.destination.address.postal_code);
   
-  // Store the request for polling
-  rateRequests.set(requestId, {
-    id: requestId,
-    request: req.body,
-    status: 'processing',
-    created: Date.now()
+  // The request's scenario settings, with a seed drawn from the scenario's stream
+  const scenario = req.scenario ? {
+    name: req.scenario.name,
+    completion_latency: req.scenario.definition.completion_latency || null,
+    never_complete: req.scenario.definition.never_complete || [],
+    service_error_probability: req.scenario.definition.service_error_probability || 0,
+    malformed_rate_probability: req.scenario.definition.malformed_rate_probability || 0,
+    seed: Math.floor(getScenarioStream(req.scenario)() * 4294967296)
+  } : null;
+  
+  // Optimize mode also palletizes the packages and quotes LTL on the result
+  const packingPlan = req.body.optimize_mode ? buildPackingPlan(details.packaging_properties.packages) : null;
+  
+  // Store the request for polling - each service answers at its own ready_at
+  const rateRequest = {
+    id: requestId,
+    request: req.body,
+    status: 'processing',
+    scenario: scenario,
+    account_id: req.account ? req.account.id : null,
+    packing_plan: packingPlan,
+    quotes: planRateQuotes(req.body, scenario, req.account, packingPlan),
+    fixture_name: FIXTURE_MODE === 'record' ? getFixtureName(req) : null,
+    created: Date.now()
+  };
+  saveRateRequest(rateRequest);
+  scheduleRateCompletion(rateRequest);
+  
+  res.status(202).json({
+    request_id: requestId
+  });
+});
+
+// Rate requests that were still processing when the server stopped (file storage) pick up where they left off
+[...rateRequests.values()]
+  .filter(rateRequest => rateRequest.status === 'processing')
+  .forEach(scheduleRateCompletion);
+
+// Rate polling endpoint - rates appear as each carrier answers
+app.get('/rate/:rate_id', (req, res) => {
+  const rateId = req.params.rate_id;
+  const rateRequest = findRateRequest(req, res, rateId);
+  if (!rateRequest) return;
+  
+  const progress = getRateProgress(rateRequest);
+  console.log(`📋 Returning ${progress.rates.length} weight-based rates (${progress.status.complete}/${progress.status.total} services answered)`);
+  
+  res.status(200).json(progress);
+});
+
+// One line per stored rate request for the admin list
+function summarizeRateRequest(rateRequest) {
+  const details = rateRequest.request.details;
+  const progress = getRateProgress(rateRequest);
+  const totals = progress.rates.map(rate => parseInt(rate.total?.value)).filter(Number.isFinite);
+  return {
+    id: rateRequest.id,
+    status: rateRequest.status,
+    account_id: rateRequest.account_id || null,
+    created_at: new Date(rateRequest.created).toISOString(),
+    expires_at: new Date(rateRequest.expires_at).toISOString(),
+    origin: formatAddress(resolveOrigin(details)),
+    destination: formatAddress(details.destination.address),
+    packaging_type: details.packaging_type,
+    optimize_mode: rateRequest.request.optimize_mode === true,
+    scenario: rateRequest.scenario ? rateRequest.scenario.name : null,
+    rates: progress.rates.length,
+    failures: progress.failures.length,
+    cheapest: totals.length > 0 ? { currency: progress.rates[0].total.currency, value: Math.min(...totals).toString() } : null
+  };
+}
+
+// How a rate's total was built: measurements, zone, the service's tariff and each charge line.
+// The tariff is the catalog's current one, which may have changed since the rate was quoted
+function getPricingBreakdown(rate) {
+  const service = carrierCatalog.services.get(String(rate.service_id).toLowerCase());
+  let tariff = null;
+  if (service) {
+    const { id, name, mode, carrier, transit_days, transit_days_by_zone, guaranteed, rate_per_cwt, ...prices } = service;
+    const freightClass = rate.measurements_used?.freight_class;
+    tariff = rate_per_cwt ? { ...prices, rate_per_cwt: { [freightClass]: rate_per_cwt[freightClass] } } : prices;
+  }
+  
+  const lines = [
+    { type: 'base', amount: rate.base },
+    ...(rate.surcharges || []).map(surcharge => ({ type: surcharge.type, amount: surcharge.amount })),
+    ...(rate.taxes || []).map(tax => ({ type: `tax:${tax.type}`, rate: tax.rate, amount: tax.amount }))
+  ];
+  const linesTotal = lines.reduce((sum, line) => sum + (parseInt(line.amount?.value) || 0), 0);
+  
+  return {
+    service_id: rate.service_id,
+    carrier_name: rate.carrier_name,
+    service_name: rate.service_name,
+    measurements_used: rate.measurements_used || null,
+    zone: rate.zone || null,
+    tariff: tariff,
+    exchange_rate: rate.exchange_rate || null,
+    lines: lines,
+    lines_total: { currency: rate.total?.currency || null, value: linesTotal.toString() },
+    total: rate.total || null,
+    balanced: String(linesTotal) === rate.total?.value
+  };
+}
+
+// Stored rate requests, newest first - filter by status, account or service, search with q (ID or any request text)
+app.get('/admin/rate-requests', (req, res) => {
+  const { status, account_id, service_id, q } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const search = q ? String(q).toLowerCase() : null;
+  
+  const matching = [...rateRequests.values()]
+    .filter(rateRequest => !status || rateRequest.status === status)
+    .filter(rateRequest => !account_id || rateRequest.account_id === account_id)
+    .filter(rateRequest => !service_id || getRateProgress(rateRequest).rates.some(rate => rate.service_id === String(service_id).toUpperCase()))
+    .filter(rateRequest => !search || rateRequest.id.includes(search) || JSON.stringify(rateRequest.request).toLowerCase().includes(search))
+    .sort((a, b) => b.created - a.created);
+  
+  res.status(200).json({
+    total: matching.length,
+    rate_requests: matching.slice(offset, offset + limit).map(summarizeRateRequest)
+  });
+});
+
+// Everything recorded for one rate request: the body as sent, the polling response and each rate's pricing
+app.get('/admin/rate-requests/:id', (req, res) => {
+  const rateRequest = rateRequests.get(req.params.id);
+  if (!rateRequest) {
+    return res.status(404).json({ message: 'Rate request not found', data: { id: 'not found' } });
+  }
+  
+  const response = getRateProgress(rateRequest);
+  res.status(200).json({
+    ...summarizeRateRequest(rateRequest),
+    request: rateRequest.request,
+    packing_plan: rateRequest.packing_plan || null,
+    quotes: rateRequest.quotes ? rateRequest.quotes.map(quote => ({
+      service_id: quote.service_id,
+      ready_at: quote.ready_at === null ? null : new Date(quote.ready_at).toISOString(),
+      outcome: quote.rate ? 'rate' : quote.ready_at === null ? 'never' : 'failure',
+      message: quote.message
+    })) : null,
+    response: response,
+    pricing: response.rates.map(getPricingBreakdown)
+  });
+});
+
+// Forget one rate request
+app.delete('/admin/rate-requests/:id', (req, res) => {
+  const rateRequest = rateRequests.get(req.params.id);
+  if (!rateRequest) {
+    return res.status(404).json({ message: 'Rate request not found', data: { id: 'not found' } });
+  }
+  
+  const summary = summarizeRateRequest(rateRequest);
+  deleteRateRequest(rateRequest.id);
+  console.log(`🗑️  Deleted rate request ${rateRequest.id}`);
+  
+  res.status(200).json(summary);
+});
+
+// Forget every rate request, including the expired tombstones
+app.delete('/admin/rate-requests', (req, res) => {
+  const ids = [...rateRequests.values()].map(rateRequest => rateRequest.id);
+  ids.forEach(deleteRateRequest);
+  [...expiredRateRequests.values()].forEach(tombstone => expiredRateRequests.delete(tombstone.id));
+  console.log(`🗑️  Cleared ${ids.length} rate request(s)`);
+  res.status(200).json({ deleted: ids.length });
+});
+
+// Built-in admin UI for browsing recorded rate requests (it sends the admin key it asks for to the admin API)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+// Code 128 bar/space module widths, indexed by symbol value (106 = stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+// Encode text as Code 128 (set B) - returns alternating bar/space widths in modules
+function encodeCode128(text) {
+  const values = [...text].map(ch => ch.charCodeAt(0) - 32);
+  const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), 104) % 103;
+  const symbols = [104, ...values, checksum, 106];
+  return symbols.map(v => CODE128_PATTERNS[v]).join('').split('').map(Number);
+}
+
+// List individual pieces (one label each) with per-piece weight
+function listShipmentPieces(packagingProperties, packagingType) {
+  const pieces = [];
+  
+  if (packagingType === 'package' && packagingProperties.packages) {
+    packagingProperties.packages.forEach(pkg => {
+      const quantity = pkg.quantity || 1;
+      for (let i = 0; i < quantity; i++) {
+        pieces.push({ weight: getWeightInPounds(pkg.measurements), description: pkg.description || 'Package' });
+      }
+    });
+  } else if (packagingType === 'pallet' && packagingProperties.pallets) {
+    packagingProperties.pallets.forEach(pallet => {
+      const quantity = pallet.quantity || 1;
+      // Pallet weight already includes quantity from Odoo
+      const weight = getWeightInPounds(pallet.measurements) / quantity;
+      for (let i = 0; i < quantity; i++) {
+        pieces.push({ weight: weight, description: pallet.description || 'Pallet' });
+      }
+    });
+  }
+  
+  return pieces;
+}
+
+// Address as printable lines
+function formatAddressLines(address, name) {
+  return [
+    name,
+    address.address_line_1,
+    address.address_line_2,
+    `${address.city || ''}, ${(address.region || '').toUpperCase()} ${address.postal_code || ''}`,
+    address.country
+  ].filter(Boolean);
+}
+
+// Minimal PDF writer - pages are lists of text/rect ops, output is byte-for-byte deterministic
+function renderPdf(pages, width, height) {
+  const escape = str => String(str)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+  
+  const objects = [];
+  const pageRefs = [];
+  const firstPageObject = 5;
+  
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  
+  pages.forEach((ops, i) => {
+    const pageObject = firstPageObject + i * 2;
+    const content = ops.map(op => {
+      if (op.type === 'rect') {
+        return `${op.x.toFixed(2)} ${op.y.toFixed(2)} ${op.w.toFixed(2)} ${op.h.toFixed(2)} re f`;
+      }
+      return `BT /${op.bold ? 'F2' : 'F1'} ${op.size} Tf ${op.x.toFixed(2)} ${op.y.toFixed(2)} Td (${escape(op.text)}) Tj ET`;
+    }).join('\n');
+    
+    pageRefs.push(`${pageObject} 0 R`);
+    objects[pageObject] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObject + 1} 0 R >>`;
+    objects[pageObject + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+  objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+  
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    offsets[n] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+  }
+  
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let n = 1; n < objects.length; n++) {
+    pdf += `${String(offsets[n]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Collect everything printed on a label for one rate request + service
+function buildLabelData(rateRequest, rate, exception) {
+  const details = rateRequest.request.details;
+  const { packagingType, packagingProperties } = getRatedPackaging(rateRequest, rate);
+  const shipmentData = analyzeShipmentData(packagingProperties, packagingType);
+  const pieces = listShipmentPieces(packagingProperties, packagingType);
+  
+  return {
+    trackingNumber: issueTrackingNumber(rateRequest, rate, exception),
+    carrierName: rate.carrier_name,
+    serviceName: rate.service_name,
+    shipDate: new Date(rateRequest.created).toISOString().slice(0, 10),
+    from: formatAddressLines(resolveOrigin(details), resolveOrigin(details).name),
+    to: formatAddressLines(details.destination.address, details.destination.name || details.destination.contact_name),
+    pieces: pieces,
+    actualWeight: shipmentData.actualWeight,
+    billableWeight: rate.measurements_used?.billable_weight?.value ?? shipmentData.actualWeight,
+    reference: rateRequest.id
+  };
+}
+
+// Label as PDF - one page per piece
+function renderLabelPdf(label, size) {
+  const { width, height } = LABEL_SIZES[size];
+  const margin = 18;
+  const scale = width / LABEL_SIZES['4x6'].width;
+  const lineHeight = 12 * scale;
+  
+  const pages = label.pieces.map((piece, index) => {
+    const ops = [];
+    let y = height - margin - 14 * scale;
+    
+    ops.push({ type: 'text', x: margin, y: y, size: 14 * scale, bold: true, text: `${label.carrierName} - ${label.serviceName}` });
+    y -= 24 * scale;
+    
+    ops.push({ type: 'text', x: margin, y: y, size: 8 * scale, bold: true, text: 'FROM:' });
+    label.from.forEach(line => {
+      y -= lineHeight * 0.85;
+      ops.push({ type: 'text', x: margin, y: y, size: 8 * scale, text: line });
+    });
+    y -= 20 * scale;
+    
+    ops.push({ type: 'text', x: margin, y: y, size: 10 * scale, bold: true, text: 'SHIP TO:' });
+    label.to.forEach(line => {
+      y -= lineHeight * 1.2;
+      ops.push({ type: 'text', x: margin, y: y, size: 12 * scale, bold: true, text: line });
+    });
+    y -= 20 * scale;
+    
+    ops.push({ type: 'rect', x: margin, y: y, w: width - margin * 2, h: 1.5 * scale });
+    y -= 16 * scale;
+    ops.push({ type: 'text', x: margin, y: y, size: 9 * scale, text: `Piece ${index + 1} of ${label.pieces.length}    Weight: ${piece.weight.toFixed(1)} lb` });
+    y -= lineHeight;
+    ops.push({ type: 'text', x: margin, y: y, size: 9 * scale, text: `Total: ${label.actualWeight.toFixed(1)} lb    Billable: ${label.billableWeight.toFixed(1)} lb` });
+    y -= lineHeight;
+    ops.push({ type: 'text', x: margin, y: y, size: 9 * scale, text: `Ship date: ${label.shipDate}    Ref: ${label.reference.slice(0, 8)}` });
+    
+    // Tracking barcode along the bottom of the label
+    const modules = encodeCode128(label.trackingNumber);
+    const totalModules = modules.reduce((sum, m) => sum + m, 0);
+    const moduleWidth = (width - margin * 2) / (totalModules + 20);
+    const barHeight = 70 * scale;
+    let x = margin + moduleWidth * 10;
+    modules.forEach((m, i) => {
+      if (i % 2 === 0) ops.push({ type: 'rect', x: x, y: margin + 20 * scale, w: m * moduleWidth, h: barHeight });
+      x += m * moduleWidth;
+    });
+    ops.push({ type: 'text', x: margin + moduleWidth * 10, y: margin + 6 * scale, size: 10 * scale, bold: true, text: label.trackingNumber });
+    
+    return ops;
+  });
+  
+  return renderPdf(pages, width, height);
+}
+
+// Label as ZPL for 4x6 thermal printers at 203 dpi - one ^XA..^XZ block per piece
+function renderLabelZpl(label) {
+  const clean = str => String(str).replace(/[\^~]/g, ' ');
+  
+  return label.pieces.map((piece, index) => {
+    const lines = ['^XA', '^CI28', '^PW812', '^LL1218'];
+    let y = 30;
+    
+    lines.push(`^FO30,${y}^A0N,40,40^FD${clean(`${label.carrierName} - ${label.serviceName}`)}^FS`);
+    y += 60;
+    lines.push(`^FO30,${y}^A0N,22,22^FDFROM:^FS`);
+    label.from.forEach(line => {
+      y += 26;
+      lines.push(`^FO30,${y}^A0N,22,22^FD${clean(line)}^FS`);
+    });
+    y += 50;
+    lines.push(`^FO30,${y}^A0N,28,28^FDSHIP TO:^FS`);
+    label.to.forEach(line => {
+      y += 38;
+      lines.push(`^FO30,${y}^A0N,34,34^FD${clean(line)}^FS`);
+    });
+    y += 60;
+    lines.push(`^FO30,${y}^GB752,3,3^FS`);
+    y += 20;
+    lines.push(`^FO30,${y}^A0N,26,26^FDPiece ${index + 1} of ${label.pieces.length}    Weight: ${piece.weight.toFixed(1)} lb^FS`);
+    y += 32;
+    lines.push(`^FO30,${y}^A0N,26,26^FDTotal: ${label.actualWeight.toFixed(1)} lb    Billable: ${label.billableWeight.toFixed(1)} lb^FS`);
+    y += 32;
+    lines.push(`^FO30,${y}^A0N,26,26^FDShip date: ${label.shipDate}    Ref: ${label.reference.slice(0, 8)}^FS`);
+    
+    lines.push(`^FO60,900^BY3^BCN,220,Y,N,N^FD${label.trackingNumber}^FS`);
+    lines.push('^XZ');
+    return lines.join('\n');
+  }).join('\n') + '\n';
+}
+
+// Commercial invoice for cross-border shipments (letter size PDF)
+function renderCommercialInvoicePdf(label, rateRequest) {
+  const { width, height } = LABEL_SIZES['letter'];
+  const details = rateRequest.request.details;
+  const items = details.packaging_type === 'package'
+    ? details.packaging_properties.packages || []
+    : details.packaging_properties.pallets || [];
+  const margin = 48;
+  const ops = [];
+  let y = height - margin - 18;
+  
+  ops.push({ type: 'text', x: margin, y: y, size: 18, bold: true, text: 'COMMERCIAL INVOICE' });
+  y -= 28;
+  ops.push({ type: 'text', x: margin, y: y, size: 10, text: `Invoice date: ${label.shipDate}    Carrier: ${label.carrierName} ${label.serviceName}` });
+  y -= 14;
+  ops.push({ type: 'text', x: margin, y: y, size: 10, text: `Tracking number: ${label.trackingNumber}    Reference: ${label.reference}` });
+  y -= 30;
+  
+  const addressTop = y;
+  ops.push({ type: 'text', x: margin, y: y, size: 10, bold: true, text: 'SHIPPER / EXPORTER' });
+  label.from.forEach(line => {
+    y -= 13;
+    ops.push({ type: 'text', x: margin, y: y, size: 10, text: line });
+  });
+  y = addressTop;
+  ops.push({ type: 'text', x: width / 2, y: y, size: 10, bold: true, text: 'CONSIGNEE' });
+  label.to.forEach(line => {
+    y -= 13;
+    ops.push({ type: 'text', x: width / 2, y: y, size: 10, text: line });
+  });
+  y = addressTop - 13 * Math.max(label.from.length, label.to.length) - 30;
+  
+  const columns = [margin, margin + 200, margin + 260, margin + 330, margin + 420];
+  ['Description', 'Qty', 'Weight (lb)', 'HS code', 'Unit value'].forEach((heading, i) => {
+    ops.push({ type: 'text', x: columns[i], y: y, size: 10, bold: true, text: heading });
+  });
+  y -= 6;
+  ops.push({ type: 'rect', x: margin, y: y, w: width - margin * 2, h: 1 });
+  
+  // Unit values stay in their declared currency; the total is converted into one invoice currency
+  const currencyOf = item => (item.declared_value?.currency || 'CAD').toUpperCase();
+  const currencies = [...new Set(items.map(currencyOf))];
+  const invoiceCurrency = currencies.length === 1 ? currencies[0] : 'CAD';
+  let totalValue = 0;
+  items.forEach(item => {
+    const value = Number(item.declared_value?.value ?? item.declared_value ?? 0);
+    totalValue += convertCurrency(getDeclaredValueCAD(item), 'CAD', invoiceCurrency) * (item.quantity || 1);
+    y -= 16;
+    [
+      item.description || (details.packaging_type === 'package' ? 'Package' : 'Pallet'),
+      String(item.quantity || 1),
+      getWeightInPounds(item.measurements).toFixed(1),
+      item.hs_code || '-',
+      `${value.toFixed(2)} ${currencyOf(item)}`
+    ].forEach((cell, i) => {
+      ops.push({ type: 'text', x: columns[i], y: y, size: 10, text: cell });
+    });
+  });
+  y -= 10;
+  ops.push({ type: 'rect', x: margin, y: y, w: width - margin * 2, h: 1 });
+  y -= 16;
+  ops.push({ type: 'text', x: margin, y: y, size: 10, bold: true, text: `Pieces: ${label.pieces.length}    Total weight: ${label.actualWeight.toFixed(1)} lb` });
+  ops.push({ type: 'text', x: columns[4], y: y, size: 10, bold: true, text: `${totalValue.toFixed(2)} ${invoiceCurrency}` });
+  y -= 40;
+  ops.push({ type: 'text', x: margin, y: y, size: 9, text: 'I declare that all information contained in this invoice is true and correct.' });
+  
+  return renderPdf([ops], width, height);
+}
+
+// Look up a completed rate request and its quoted rate, or send the error response
+function findQuotedRate(req, res, rateId, serviceId) {
+  const rateRequest = findRateRequest(req, res, rateId);
+  if (!rateRequest) return null;
+  
+  if (rateRequest.status !== 'completed') {
+    res.status(400).json({ message: 'Rate request is still processing', data: { rate_id: 'not completed' } });
+    return null;
+  }
+  
+  if (!serviceId) {
+    res.status(400).json({ message: 'Invalid request', data: { service_id: 'is required' } });
+    return null;
+  }
+  
+  const rate = rateRequest.rates.find(r => r.service_id === String(serviceId).toUpperCase());
+  if (!rate) {
+    res.status(400).json({ message: 'Service was not quoted for this rate request', data: { service_id: 'not found in rates' } });
+    return null;
+  }
+  
+  const problems = getRateProblems(rate);
+  if (Object.keys(problems).length > 0) {
+    res.status(400).json({ message: 'Quoted rate is malformed and cannot be used', data: problems });
+    return null;
+  }
+  
+  return { rateRequest, rate };
+}
+
+// Field problems with a quoted rate against the documented rate shape (the malformed-rates scenario breaks some on purpose)
+function getRateProblems(rate) {
+  const problems = {};
+  validateAgainstSchema(rate, RATE_SCHEMA, 'rate', problems, false);
+  return problems;
+}
+
+// Carrier catalog endpoint
+app.get('/carriers', (req, res) => {
+  res.status(200).json(carrierCatalog.carriers.map(carrier => ({
+    id: carrier.id,
+    name: carrier.name,
+    countries: carrier.countries || null,
+    accessorials: Object.keys(carrier.accessorials || {}),
+    services: carrier.services.map(service => service.id.toUpperCase())
+  })));
+});
+
+// Service list endpoint - what the connector syncs its service list from
+app.get('/services', (req, res) => {
+  res.status(200).json([...carrierCatalog.services.values()].map(service => ({
+    id: service.id.toUpperCase(),
+    carrier_id: service.carrier.id,
+    carrier_name: service.carrier.name,
+    service_name: service.name,
+    mode: service.mode,
+    transit_days: service.transit_days,
+    guaranteed: service.guaranteed === true
+  })));
+});
+
+// Webhook subscription endpoint - { url, events?, secret? }
+app.post('/webhooks', (req, res) => {
+  const { url, events, secret } = req.body || {};
+  const errors = {};
+  
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    errors.url = 'must be a valid URL';
+  }
+  if (parsed && !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.url = 'must use http or https';
+  }
+  
+  const subscribed = events || WEBHOOK_EVENTS;
+  if (!Array.isArray(subscribed) || subscribed.length === 0 || subscribed.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    errors.events = `must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    errors.secret = 'must be a string of at least 16 characters';
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: 'Invalid webhook subscription', data: errors });
+  }
+  
+  const webhook = {
+    id: uuidv4(),
+    account_id: req.account ? req.account.id : null,
+    url: parsed.toString(),
+    events: [...new Set(subscribed)],
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    created: Date.now()
+  };
+  webhooks.set(webhook.id, webhook);
+  
+  console.log(`🪝 Webhook registered: ${webhook.url} (${webhook.events.join(', ')})`);
+  
+  res.status(201).json({ ...formatWebhook(webhook), secret: webhook.secret });
+});
+
+// Webhook list endpoint - only the calling account's webhooks
+app.get('/webhooks', (req, res) => {
+  res.status(200).json({ webhooks: [...webhooks.values()].filter(webhook => isVisibleTo(webhook, req)).map(formatWebhook) });
+});
+
+// Webhook removal endpoint - pending retries are abandoned
+app.delete('/webhooks/:webhook_id', (req, res) => {
+  const webhook = webhooks.get(req.params.webhook_id);
+  
+  if (!webhook || !isVisibleTo(webhook, req)) {
+    return res.status(404).json({ message: 'Webhook not found' });
+  }
+  
+  webhooks.delete(webhook.id);
+  console.log(`🗑️  Webhook removed: ${webhook.url}`);
+  
+  res.status(200).json(formatWebhook(webhook));
+});
+
+// Webhook delivery log endpoint - newest first
+app.get('/webhooks/:webhook_id/deliveries', (req, res) => {
+  const webhookId = req.params.webhook_id;
+  const webhook = webhooks.get(webhookId);
+  const deliveries = [...webhookDeliveries.values()].filter(d => d.webhook_id === webhookId && isVisibleTo(d, req));
+  
+  if (!(webhook && isVisibleTo(webhook, req)) && deliveries.length === 0) {
+    return res.status(404).json({ message: 'Webhook not found' });
+  }
+  
+  res.status(200).json({
+    deliveries: deliveries
+      .sort((a, b) => b.created - a.created)
+      .map(delivery => ({
+        id: delivery.id,
+        event: delivery.event,
+        event_id: delivery.event_id,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        next_attempt_at: delivery.next_attempt_at,
+        created_at: new Date(delivery.created).toISOString()
+      }))
+  });
+});
+
+// Shipping label endpoint - ?service_id=...&format=pdf|zpl&size=4x6|letter
+app.get('/label/:rate_id', (req, res) => {
+  const format = (req.query.format || 'pdf').toLowerCase();
+  const size = (req.query.size || '4x6').toLowerCase();
+  
+  if (!['pdf', 'zpl'].includes(format)) {
+    return res.status(400).json({ message: 'Invalid label format', data: { format: 'must be one of pdf, zpl' } });
+  }
+  if (!LABEL_SIZES[size]) {
+    return res.status(400).json({ message: 'Invalid label size', data: { size: 'must be one of 4x6, letter' } });
+  }
+  if (format === 'zpl' && size !== '4x6') {
+    return res.status(400).json({ message: 'ZPL labels are only available in 4x6', data: { size: 'must be 4x6 for zpl' } });
+  }
+  
+  const quoted = findQuotedRate(req, res, req.params.rate_id, req.query.service_id);
+  if (!quoted) return;
+  
+  const label = buildLabelData(quoted.rateRequest, quoted.rate, getRequestedException(req));
+  console.log(`🏷️  ${format.toUpperCase()} ${size} label for ${label.carrierName} ${label.serviceName} (${label.trackingNumber}), ${label.pieces.length} piece(s)`);
+  
+  if (format === 'zpl') {
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="label-${label.trackingNumber}.zpl"`);
+    return res.status(200).send(renderLabelZpl(label));
+  }
+  
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="label-${label.trackingNumber}.pdf"`);
+  res.status(200).send(renderLabelPdf(label, size));
+});
+
+// Commercial invoice endpoint - cross-border only (destination outside the origin's country)
+app.get('/commercial-invoice/:rate_id', (req, res) => {
+  const quoted = findQuotedRate(req, res, req.params.rate_id, req.query.service_id);
+  if (!quoted) return;
+  
+  const details = quoted.rateRequest.request.details;
+  const origin = resolveOrigin(details);
+  const country = getCountry(details.destination.address);
+  if (!isCrossBorder(origin, details.destination.address)) {
+    return res.status(400).json({
+      message: 'Commercial invoice is only required for cross-border shipments',
+      data: { 'details.destination.address.country': `must be outside ${getCountry(origin)}, the origin country` }
+    });
+  }
+  
+  const label = buildLabelData(quoted.rateRequest, quoted.rate);
+  console.log(`🧾 Commercial invoice for ${label.trackingNumber} to ${country}`);
+  
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="commercial-invoice-${label.trackingNumber}.pdf"`);
+  res.status(200).send(renderCommercialInvoicePdf(label, quoted.rateRequest));
+});
+
+// Shipment booking endpoint - books one of the rates from a completed rate request
+app.post('/shipment', (req, res) => {
+  const { rate_id, service_id, unique_id } = req.body || {};
+  
+  const missing = {};
+  if (!rate_id) missing.rate_id = 'is required';
+  if (!service_id) missing.service_id = 'is required';
+  if (Object.keys(missing).length > 0) {
+    return res.status(400).json({ message: 'Invalid shipment request', data: missing });
+  }
+  
+  const quoted = findQuotedRate(req, res, rate_id, service_id);
+  if (!quoted) return;
+  const rate = quoted.rate;
+  
+  if (isRateExpired(rate)) {
+    return res.status(400).json({ message: 'Rate has expired', data: { rate_id: 'expired' } });
+  }
+  
+  const existing = [...shipments.values()].find(s =>
+    s.rate_id === rate_id && s.rate.service_id === rate.service_id && !s.cancelled_at
+  );
+  if (existing) {
+    return res.status(409).json({ message: 'Rate has already been booked', data: { shipment_id: existing.id } });
+  }
+  
+  const shipment = {
+    id: uuidv4(),
+    unique_id: unique_id || null,
+    account_id: req.account ? req.account.id : null,
+    rate_id: rate_id,
+    rate: rate,
+    tracking_number: issueTrackingNumber(quoted.rateRequest, rate, getRequestedException(req)),
+    booked_at: Date.now(),
+    cancelled_at: null
+  };
+  shipments.set(shipment.id, shipment);
+  
+  console.log(`🎫 Booked ${rate.carrier_name} ${rate.service_name} (${shipment.tracking_number}) → $${(Number(rate.total?.value) / 100).toFixed(2)}`);
+  
+  res.status(201).json({
+    id: shipment.id,
+    shipment: formatShipment(shipment)
   });
+});
+
+// Shipment lookup endpoint
+app.get('/shipment/:shipment_id', (req, res) => {
+  const shipment = shipments.get(req.params.shipment_id);
   
-  // Generate weight-based rates (origin is hardcoded as Ottawa)
-  setTimeout(() => {
-    const rates = calculateWeightBasedRates(
-      details.packaging_type,
-      details.destination.address,  // Only destination needed
-      details.packaging_properties
-    );
-    
-    // Filter by services if specified
-    let filteredRates = rates;
-    if (services && services.length > 0) {
-      filteredRates = rates.filter(rate => services.includes(rate.service_id));
+  if (!shipment || !isVisibleTo(shipment, req)) {
+    return res.status(404).json({ message: 'Shipment not found' });
+  }
+  
+  res.status(200).json({ shipment: formatShipment(shipment) });
+});
+
+// Shipment cancellation endpoint - only allowed before pickup
+app.delete('/shipment/:shipment_id', (req, res) => {
+  const shipment = shipments.get(req.params.shipment_id);
+  
+  if (!shipment || !isVisibleTo(shipment, req)) {
+    return res.status(404).json({ message: 'Shipment not found' });
+  }
+  
+  const state = getShipmentState(shipment);
+  if (state === 'cancelled') {
+    return res.status(409).json({ message: 'Shipment is already cancelled', data: { state } });
+  }
+  if (state !== 'booked') {
+    return res.status(409).json({ message: `Shipment cannot be cancelled once ${state.replace('_', ' ')}`, data: { state } });
+  }
+  
+  shipment.cancelled_at = Date.now();
+  shipments.set(shipment.id, shipment);
+  console.log(`🚫 Cancelled shipment ${shipment.id} (${shipment.tracking_number})`);
+  
+  res.status(200).json({ shipment: formatShipment(shipment) });
+});
+
+// Pickup holiday calendar (national + provincial statutory holidays)
+const holidayConfig = loadJsonConfig('holidays.json', { national: [], provincial: {} });
+
+// Time zone a pickup's times are in, by province (other countries use Eastern time)
+const PROVINCE_TIME_ZONES = {
+  BC: 'America/Vancouver', AB: 'America/Edmonton', SK: 'America/Regina', MB: 'America/Winnipeg',
+  ON: 'America/Toronto', QC: 'America/Toronto', NB: 'America/Halifax', NS: 'America/Halifax',
+  PE: 'America/Halifax', NL: 'America/St_Johns', YT: 'America/Whitehorse', NT: 'America/Yellowknife',
+  NU: 'America/Iqaluit'
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar dates are handled as UTC midnight timestamps
+function toCalendarDate({ year, month, day }) {
+  return Date.UTC(year, month - 1, day);
+}
+
+function fromCalendarDate(date) {
+  const d = new Date(date);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function formatCalendarDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Minutes after midnight as "HH:MM"
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Easter Sunday (anonymous Gregorian algorithm)
+function getEasterSunday(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30, i = Math.floor(c / 4), k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+}
+
+// Date a holiday rule falls on in a year (before weekend observance)
+function getHolidayDate(rule, year) {
+  switch (rule.rule) {
+    case 'fixed':
+      return Date.UTC(year, rule.month - 1, rule.day);
+    case 'nth_weekday': {
+      const first = Date.UTC(year, rule.month - 1, 1);
+      const offset = (rule.weekday - new Date(first).getUTCDay() + 7) % 7;
+      return first + (offset + (rule.n - 1) * 7) * DAY_MS;
     }
-    if (excluded_services && excluded_services.length > 0) {
-      filteredRates = filteredRates.filter(rate => !excluded_services.includes(rate.service_id));
+    case 'monday_before': {
+      let date = Date.UTC(year, rule.month - 1, rule.day) - DAY_MS;
+      while (new Date(date).getUTCDay() !== 1) date -= DAY_MS;
+      return date;
     }
-    
-    rateRequests.set(requestId, {
-      id: requestId,
-      request: req.body,
-      status: 'completed',
-      rates: filteredRates,
-      created: Date.now()
+    case 'easter':
+      return getEasterSunday(year) + (rule.offset_days || 0) * DAY_MS;
+    default:
+      throw new Error(`Unknown holiday rule "${rule.rule}" for ${rule.name}`);
+  }
+}
+
+// Observed holidays for a year and province: ISO date → holiday name
+const holidayCache = new Map();
+function getHolidays(year, province) {
+  const key = `${year}:${province}`;
+  if (holidayCache.has(key)) return holidayCache.get(key);
+  
+  const holidays = new Map();
+  const isWeekend = date => [0, 6].includes(new Date(date).getUTCDay());
+  
+  [...holidayConfig.national, ...(holidayConfig.provincial[province] || [])]
+    .map(rule => ({ rule, date: getHolidayDate(rule, year) }))
+    .sort((a, b) => a.date - b.date)
+    .forEach(({ rule, date }) => {
+      // Weekend fixed-date holidays move to the next free weekday (Christmas on Saturday → Monday, Boxing Day → Tuesday)
+      let observed = date;
+      while (rule.rule === 'fixed' && (isWeekend(observed) || holidays.has(formatCalendarDate(observed)))) {
+        observed += DAY_MS;
+      }
+      holidays.set(formatCalendarDate(observed), observed === date ? rule.name : `${rule.name} (observed)`);
     });
-    
-    console.log(`✅ Generated ${filteredRates.length} WEIGHT-BASED rates for ${details.destination.address.city}`);
-  }, 800);
   
-  res.status(202).json({
-    request_id: requestId
+  holidayCache.set(key, holidays);
+  return holidays;
+}
+
+// Why carriers don't pick up on a date (null on business days)
+function getNonBusinessDayReason(date, country, province) {
+  const weekday = new Date(date).getUTCDay();
+  if (weekday === 0 || weekday === 6) return `is a ${WEEKDAY_NAMES[weekday]}`;
+  
+  if (country === 'CA') {
+    const holiday = getHolidays(new Date(date).getUTCFullYear(), province).get(formatCalendarDate(date));
+    if (holiday) return `is a statutory holiday (${holiday})`;
+  }
+  return null;
+}
+
+// Today's date and the minutes past midnight in a time zone
+function getLocalNow(timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date()).map(part => [part.type, part.value]));
+  
+  return {
+    date: Date.UTC(parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day)),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// Where a pickup happens: the rate request's origin, its province and local time zone
+function getPickupLocation(address) {
+  const country = getCountry(address);
+  const province = normalizeRegion(address.region);
+  return { address, country, province, timeZone: (country === 'CA' && PROVINCE_TIME_ZONES[province]) || 'America/Toronto' };
+}
+
+// Earliest pickup the carrier can still take: today if before cut-off, otherwise the next business day
+function getNextAvailablePickup(rules, location) {
+  const now = getLocalNow(location.timeZone);
+  const earliest = parseClockTime(rules.earliest_ready);
+  const latest = parseClockTime(rules.latest_close);
+  
+  // Same day only while there's time before cut-off for a full window starting on the next half hour
+  const nextHalfHour = Math.ceil((now.minutes + 1) / 30) * 30;
+  const sameDayStart = Math.max(earliest, nextHalfHour);
+  const sameDay = now.minutes < parseClockTime(rules.cutoff) && sameDayStart + rules.min_window_minutes <= latest;
+  
+  let date = sameDay ? now.date : now.date + DAY_MS;
+  while (getNonBusinessDayReason(date, location.country, location.province)) date += DAY_MS;
+  
+  const readyAt = date === now.date ? sameDayStart : earliest;
+  return {
+    date: fromCalendarDate(date),
+    ready_at: { hour: Math.floor(readyAt / 60), minute: readyAt % 60 },
+    ready_until: { hour: Math.floor(latest / 60), minute: latest % 60 }
+  };
+}
+
+// Field-level problems with a pickup's date and window under the carrier's rules (empty when it's fine)
+function checkPickupWindow(pickup, rules, location) {
+  const errors = {};
+  const now = getLocalNow(location.timeZone);
+  const date = toCalendarDate(pickup.date);
+  const readyAt = pickup.ready_at.hour * 60 + pickup.ready_at.minute;
+  const readyUntil = pickup.ready_until.hour * 60 + pickup.ready_until.minute;
+  
+  if (fromCalendarDate(date).day !== pickup.date.day) {
+    errors.date = 'is not a valid date';
+  } else if (date < now.date) {
+    errors.date = 'is in the past';
+  } else if (date > now.date + rules.max_days_ahead * DAY_MS) {
+    errors.date = `must be within ${rules.max_days_ahead} days`;
+  } else if (getNonBusinessDayReason(date, location.country, location.province)) {
+    errors.date = `${getNonBusinessDayReason(date, location.country, location.province)} - no pickups`;
+  } else if (date === now.date && now.minutes >= parseClockTime(rules.cutoff)) {
+    errors.date = `same-day pickups must be booked before ${rules.cutoff}`;
+  }
+  
+  if (readyAt < parseClockTime(rules.earliest_ready)) {
+    errors.ready_at = `must be ${rules.earliest_ready} or later`;
+  } else if (date === now.date && readyAt < now.minutes) {
+    errors.ready_at = 'has already passed';
+  }
+  if (readyUntil > parseClockTime(rules.latest_close)) {
+    errors.ready_until = `must be ${rules.latest_close} or earlier`;
+  } else if (readyUntil - readyAt < rules.min_window_minutes) {
+    errors.ready_until = `must be at least ${rules.min_window_minutes} minutes after ready_at`;
+  }
+  
+  return errors;
+}
+
+// LTL pickups need somewhere to load from: a dock, or a liftgate the carrier offers
+function checkPickupLoading(pickup, carrierInfo) {
+  const errors = {};
+  if (carrierInfo.mode !== 'ltl') return errors;
+  
+  if (!pickup.has_loading_dock && !pickup.tailgate_required) {
+    errors.has_loading_dock = 'LTL pickups need a loading dock or a liftgate (set has_loading_dock or tailgate_required)';
+  } else if (pickup.tailgate_required && carrierInfo.accessorials.pickup_liftgate === undefined) {
+    errors.tailgate_required = `${carrierInfo.carrier} does not offer liftgate pickups`;
+  }
+  return errors;
+}
+
+// Pickup request body (PATCH takes the same fields, all optional, minus the rate)
+const PICKUP_SCHEMA = {
+  type: 'object',
+  required: ['rate_id', 'service_id', 'date', 'ready_at', 'ready_until'],
+  properties: {
+    rate_id: { type: 'string' },
+    service_id: { type: 'string' },
+    date: DATE_SCHEMA,
+    ready_at: TIME_SCHEMA,
+    ready_until: TIME_SCHEMA,
+    has_loading_dock: { type: 'boolean' },
+    tailgate_required: { type: 'boolean' },
+    contact_name: { type: 'string', nullable: true },
+    contact_phone_number: { type: 'string', nullable: true },
+    instructions: { type: 'string', nullable: true }
+  },
+  check: checkPickupNulls
+};
+
+const PICKUP_UPDATE_SCHEMA = {
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(PICKUP_SCHEMA.properties).filter(([key]) => !['rate_id', 'service_id'].includes(key))),
+  check: checkPickupNulls
+};
+
+// Only the contact details and instructions can be cleared with null
+function checkPickupNulls(pickup, path, errors, schema) {
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    const field = path ? `${path}.${key}` : key;
+    if (pickup[key] === null && !property.nullable && !errors[field]) errors[field] = 'must not be null';
+  });
+}
+
+// Fields a client can set on a pickup
+const PICKUP_FIELDS = ['date', 'ready_at', 'ready_until', 'has_loading_dock', 'tailgate_required', 'contact_name', 'contact_phone_number', 'instructions'];
+
+// Validate a pickup against the carrier's rules, sending the 400 (with the next available pickup) when it fails
+function rejectInvalidPickup(res, pickup, carrierInfo, location) {
+  const errors = { ...checkPickupWindow(pickup, carrierInfo.pickupRules, location), ...checkPickupLoading(pickup, carrierInfo) };
+  if (Object.keys(errors).length === 0) return false;
+  
+  console.log(`⚠️  Rejected ${carrierInfo.carrier} pickup:`, errors);
+  res.status(400).json({
+    message: 'Pickup cannot be scheduled',
+    data: errors,
+    next_available_pickup: getNextAvailablePickup(carrierInfo.pickupRules, location)
   });
+  return true;
+}
+
+// A pickup can be changed or cancelled until its window opens
+function hasPickupStarted(pickup) {
+  const now = getLocalNow(pickup.time_zone);
+  const date = toCalendarDate(pickup.date);
+  return date < now.date || (date === now.date && now.minutes >= pickup.ready_at.hour * 60 + pickup.ready_at.minute);
+}
+
+// Shape a stored pickup for API responses
+function formatPickup(pickup) {
+  const clock = time => formatClockTime(time.hour * 60 + time.minute);
+  return {
+    id: pickup.id,
+    confirmation_number: pickup.confirmation_number,
+    status: pickup.cancelled_at ? 'cancelled' : 'scheduled',
+    rate_id: pickup.rate_id,
+    service_id: pickup.service_id,
+    carrier_name: pickup.carrier_name,
+    address: pickup.address,
+    date: pickup.date,
+    ready_at: pickup.ready_at,
+    ready_until: pickup.ready_until,
+    window: `${formatCalendarDate(toCalendarDate(pickup.date))} ${clock(pickup.ready_at)}-${clock(pickup.ready_until)} (${pickup.time_zone})`,
+    has_loading_dock: pickup.has_loading_dock,
+    tailgate_required: pickup.tailgate_required,
+    contact_name: pickup.contact_name,
+    contact_phone_number: pickup.contact_phone_number,
+    instructions: pickup.instructions,
+    created_at: new Date(pickup.created_at).toISOString(),
+    updated_at: new Date(pickup.updated_at).toISOString(),
+    cancelled_at: pickup.cancelled_at ? new Date(pickup.cancelled_at).toISOString() : null
+  };
+}
+
+// Scheduled carrier pickups
+const pickups = createStore('pickups');
+
+// Pickup request endpoint - for a service quoted on a completed rate request
+app.post('/pickup', (req, res) => {
+  const errors = {};
+  validateAgainstSchema(req.body, PICKUP_SCHEMA, '', errors, isStrictValidation(req));
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: 'Validation failed', data: errors });
+  }
+  
+  const quoted = findQuotedRate(req, res, req.body.rate_id, req.body.service_id);
+  if (!quoted) return;
+  const rate = quoted.rate;
+  const carrierInfo = getCarrierInfo(rate.service_id);
+  const location = getPickupLocation(resolveOrigin(quoted.rateRequest.request.details));
+  
+  const requested = {
+    has_loading_dock: false,
+    tailgate_required: false,
+    ...Object.fromEntries(PICKUP_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]))
+  };
+  if (rejectInvalidPickup(res, requested, carrierInfo, location)) return;
+  
+  const existing = [...pickups.values()].find(p =>
+    p.rate_id === req.body.rate_id && p.service_id === rate.service_id && !p.cancelled_at
+  );
+  if (existing) {
+    return res.status(409).json({ message: 'A pickup is already scheduled for this rate', data: { pickup_id: existing.id } });
+  }
+  
+  const id = uuidv4();
+  const pickup = {
+    contact_name: null,
+    contact_phone_number: null,
+    instructions: null,
+    ...requested,
+    id: id,
+    confirmation_number: 'PU' + BigInt('0x' + crypto.createHash('sha256').update(id).digest('hex').slice(0, 12)).toString().slice(-9).padStart(9, '0'),
+    account_id: req.account ? req.account.id : null,
+    rate_id: req.body.rate_id,
+    service_id: rate.service_id,
+    carrier_name: rate.carrier_name,
+    address: location.address,
+    time_zone: location.timeZone,
+    created_at: Date.now(),
+    updated_at: Date.now(),
+    cancelled_at: null
+  };
+  pickups.set(pickup.id, pickup);
+  
+  console.log(`🚚 Scheduled ${pickup.carrier_name} pickup ${pickup.confirmation_number} for ${formatPickup(pickup).window}`);
+  
+  res.status(201).json({ id: pickup.id, pickup: formatPickup(pickup) });
 });
 
-// Rate polling endpoint  
-app.get('/rate/:rate_id', (req, res) => {
-  const rateId = req.params.rate_id;
-  const rateRequest = rateRequests.get(rateId);
+// Pickup list endpoint - optionally by status (scheduled/cancelled) and date (YYYY-MM-DD)
+app.get('/pickups', (req, res) => {
+  const { status, date } = req.query;
+  const list = [...pickups.values()]
+    .filter(pickup => isVisibleTo(pickup, req))
+    .map(formatPickup)
+    .filter(pickup => !status || pickup.status === status)
+    .filter(pickup => !date || pickup.window.startsWith(date))
+    .sort((a, b) => a.window.localeCompare(b.window));
   
-  if (!rateRequest) {
-    return res.status(404).json({ message: 'Rate request not found' });
+  res.status(200).json({ pickups: list });
+});
+
+// Pickup lookup endpoint
+app.get('/pickup/:pickup_id', (req, res) => {
+  const pickup = pickups.get(req.params.pickup_id);
+  
+  if (!pickup || !isVisibleTo(pickup, req)) {
+    return res.status(404).json({ message: 'Pickup not found' });
   }
   
-  if (rateRequest.status === 'processing') {
-    return res.status(200).json({
-      status: {
-        done: false,
-        total: 3,
-        complete: 1
-      },
-      rates: []
-    });
+  res.status(200).json({ pickup: formatPickup(pickup) });
+});
+
+// Pickup change endpoint - new window, loading details or contact, re-checked against the carrier's rules
+app.patch('/pickup/:pickup_id', (req, res) => {
+  const pickup = pickups.get(req.params.pickup_id);
+  
+  if (!pickup || !isVisibleTo(pickup, req)) {
+    return res.status(404).json({ message: 'Pickup not found' });
+  }
+  if (pickup.cancelled_at) {
+    return res.status(409).json({ message: 'Pickup is cancelled', data: { status: 'cancelled' } });
+  }
+  if (hasPickupStarted(pickup)) {
+    return res.status(409).json({ message: 'Pickup window has already started', data: { status: 'scheduled' } });
+  }
+  
+  const errors = {};
+  validateAgainstSchema(req.body, PICKUP_UPDATE_SCHEMA, '', errors, isStrictValidation(req));
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: 'Validation failed', data: errors });
+  }
+  
+  const changes = Object.fromEntries(PICKUP_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+  const updated = { ...pickup, ...changes, updated_at: Date.now() };
+  const location = getPickupLocation(pickup.address);
+  if (rejectInvalidPickup(res, updated, getCarrierInfo(pickup.service_id), location)) return;
+  
+  pickups.set(updated.id, updated);
+  console.log(`🚚 Updated ${updated.carrier_name} pickup ${updated.confirmation_number}: ${formatPickup(updated).window}`);
+  
+  res.status(200).json({ pickup: formatPickup(updated) });
+});
+
+// Pickup cancellation endpoint - only before the window opens
+app.delete('/pickup/:pickup_id', (req, res) => {
+  const pickup = pickups.get(req.params.pickup_id);
+  
+  if (!pickup || !isVisibleTo(pickup, req)) {
+    return res.status(404).json({ message: 'Pickup not found' });
+  }
+  if (pickup.cancelled_at) {
+    return res.status(409).json({ message: 'Pickup is already cancelled', data: { status: 'cancelled' } });
+  }
+  if (hasPickupStarted(pickup)) {
+    return res.status(409).json({ message: 'Pickup window has already started', data: { status: 'scheduled' } });
+  }
+  
+  pickup.cancelled_at = Date.now();
+  pickups.set(pickup.id, pickup);
+  console.log(`🚫 Cancelled ${pickup.carrier_name} pickup ${pickup.confirmation_number}`);
+  
+  res.status(200).json({ pickup: formatPickup(pickup) });
+});
+
+// Tracking endpoint - events so far for an issued tracking number
+app.get('/tracking/:carrier/:tracking_number', (req, res) => {
+  const trackingNumber = req.params.tracking_number.toUpperCase();
+  const entry = trackingNumbers.get(trackingNumber);
+  
+  if (!entry) {
+    return res.status(404).json({ message: 'Tracking number not found' });
+  }
+  
+  const { rate, events, estimatedDelivery } = getTrackingEvents(trackingNumber, getRequestedException(req));
+  const slug = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (slug(req.params.carrier) !== slug(rate.carrier_name)) {
+    return res.status(404).json({ message: 'Tracking number not found for carrier', data: { carrier: rate.carrier_name } });
   }
   
-  console.log(`📋 Returning ${rateRequest.rates.length} weight-based rates`);
+  // A cancelled booking stops the timeline at label creation
+  const bookings = [...shipments.values()].filter(s => s.tracking_number === trackingNumber);
+  const cancelled = bookings.length > 0 && bookings.every(s => s.cancelled_at);
+  const visible = cancelled
+    ? [events[0], { type: 'cancelled', at: Math.max(...bookings.map(s => s.cancelled_at)), where: events[0].where, message: 'Shipment cancelled' }]
+    : events;
+  
+  console.log(`📍 Tracking ${trackingNumber}: ${visible.length} event(s), latest ${visible[visible.length - 1].type}`);
   
   res.status(200).json({
+    tracking_number: trackingNumber,
+    carrier_name: rate.carrier_name,
+    service_name: rate.service_name,
+    state: cancelled ? 'cancelled' : getTrackingState(visible),
+    estimated_delivery: new Date(estimatedDelivery).toISOString(),
+    events: visible.map(event => ({
+      type: event.type,
+      when: new Date(event.at).toISOString(),
+      where: event.where,
+      message: event.message
+    }))
+  });
+});
+
+// { currency, value } amount in cents - negative on discount lines
+const MONEY_SCHEMA = {
+  type: 'object',
+  required: ['currency', 'value'],
+  properties: {
+    currency: { type: 'string' },
+    value: { type: 'string', pattern: /^-?\d+$/, patternMessage: 'must be a whole number of cents' }
+  }
+};
+
+// A measurement normalized to the unit prices are worked out in
+const MEASUREMENT_VALUE_SCHEMA = {
+  type: 'object',
+  required: ['unit', 'value'],
+  properties: {
+    unit: { type: 'string' },
+    value: { type: 'number' },
+    divisor: { type: 'object', properties: { unit: { type: 'string', enum: Object.keys(DIM_DIVISOR_UNITS) }, value: { type: 'number' } } }
+  }
+};
+
+// measurements_used on a rate
+const MEASUREMENTS_USED_SCHEMA = {
+  type: 'object',
+  required: ['actual_weight', 'billable_weight', 'volume', 'density'],
+  properties: {
+    actual_weight: MEASUREMENT_VALUE_SCHEMA,
+    dimensional_weight: { ...MEASUREMENT_VALUE_SCHEMA, nullable: true },
+    billable_weight: MEASUREMENT_VALUE_SCHEMA,
+    volume: MEASUREMENT_VALUE_SCHEMA,
+    density: MEASUREMENT_VALUE_SCHEMA,
+    freight_class: { type: 'string', enum: FREIGHT_CLASSES, nullable: true }
+  }
+};
+
+// One quoted rate, as returned by GET /rate/{id} and the rate.completed webhook
+const RATE_SCHEMA = {
+  type: 'object',
+  required: ['carrier_name', 'service_name', 'service_id', 'valid_until', 'total', 'base', 'surcharges', 'taxes', 'transit_time_days'],
+  properties: {
+    carrier_name: { type: 'string' },
+    service_name: { type: 'string' },
+    service_id: { type: 'string' },
+    valid_until: DATE_SCHEMA,
+    total: {
+      ...MONEY_SCHEMA,
+      properties: { ...MONEY_SCHEMA.properties, value: { type: 'string', pattern: /^\d+$/, patternMessage: 'must be a whole, non-negative number of cents' } }
+    },
+    base: MONEY_SCHEMA,
+    surcharges: {
+      type: 'array',
+      items: { type: 'object', required: ['type', 'amount'], properties: { type: { type: 'string' }, rate: { type: 'number' }, amount: MONEY_SCHEMA } }
+    },
+    taxes: {
+      type: 'array',
+      items: { type: 'object', required: ['type', 'rate', 'amount'], properties: { type: { type: 'string' }, rate: { type: 'number' }, amount: MONEY_SCHEMA } }
+    },
+    transit_time_days: { type: 'integer', minimum: 1 },
+    transit_time_not_available: { type: 'boolean' },
+    guaranteed: { type: 'boolean' },
+    estimated_delivery_date: DATE_SCHEMA,
+    zone: {
+      type: 'object',
+      properties: {
+        zone: { type: 'string' },
+        distance_km: { type: 'integer', nullable: true },
+        origin_prefix: { type: 'string', nullable: true },
+        destination_prefix: { type: 'string', nullable: true }
+      }
+    },
+    measurements_used: MEASUREMENTS_USED_SCHEMA,
+    exchange_rate: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' }, rate: { type: 'number' } } },
+    value_score: { type: 'integer', nullable: true }
+  }
+};
+
+// GET /rate/{id}: what has answered so far
+const RATE_PROGRESS_SCHEMA = {
+  type: 'object',
+  required: ['status', 'rates', 'failures'],
+  properties: {
     status: {
-      done: true,
-      total: rateRequest.rates.length,
-      complete: rateRequest.rates.length
+      type: 'object',
+      required: ['done', 'total', 'complete'],
+      properties: { done: { type: 'boolean' }, total: { type: 'integer', minimum: 0 }, complete: { type: 'integer', minimum: 0 } }
+    },
+    rates: { type: 'array', items: RATE_SCHEMA },
+    failures: {
+      type: 'array',
+      items: { type: 'object', required: ['service_id', 'message'], properties: { service_id: { type: 'string' }, message: { type: 'string' } } }
+    },
+    recommendation: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        mode: { type: 'string', enum: ['parcel', 'ltl'] },
+        service_id: { type: 'string' },
+        carrier_name: { type: 'string' },
+        service_name: { type: 'string' },
+        total: MONEY_SCHEMA,
+        alternative: {
+          type: 'object',
+          nullable: true,
+          properties: { mode: { type: 'string', enum: ['parcel', 'ltl'] }, service_id: { type: 'string' }, total: MONEY_SCHEMA }
+        },
+        savings: { ...MONEY_SCHEMA, nullable: true },
+        packing_plan: { type: 'any', nullable: true }
+      }
+    }
+  }
+};
+
+// POST /rate: the ID to poll
+const RATE_ACCEPTED_SCHEMA = {
+  type: 'object',
+  required: ['request_id'],
+  properties: { request_id: { type: 'string' } }
+};
+
+// Error body: a message, field-level details in data (500s carry error instead)
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['message'],
+  properties: { message: { type: 'string' }, data: { type: 'any' }, error: { type: 'string' } }
+};
+
+// GET /health
+const HEALTH_SCHEMA = {
+  type: 'object',
+  required: ['status', 'timestamp', 'version'],
+  properties: {
+    status: { type: 'string' },
+    timestamp: { type: 'string' },
+    version: { type: 'string' },
+    origin: { type: 'string' },
+    storage: { type: 'string', enum: ['memory', 'file'] },
+    auth: { type: 'boolean' },
+    fixtures: { type: 'string', enum: ['off', 'record', 'replay'] },
+    uptime: { type: 'number' }
+  }
+};
+
+// GET /: what the mock is and what it can do
+const SERVICE_INFO_SCHEMA = {
+  type: 'object',
+  required: ['name', 'version', 'features'],
+  properties: {
+    name: { type: 'string' },
+    version: { type: 'string' },
+    description: { type: 'string' },
+    origin: { type: 'string' },
+    features: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// GET /openapi.json (the document itself isn't described field by field)
+const OPENAPI_DOCUMENT_SCHEMA = {
+  type: 'object',
+  required: ['openapi', 'info', 'paths'],
+  properties: {
+    openapi: { type: 'string' },
+    info: { type: 'any' },
+    servers: { type: 'any' },
+    security: { type: 'any' },
+    paths: { type: 'any' },
+    components: { type: 'any' }
+  }
+};
+
+// Bodies that aren't JSON are documented by media type only (development mode only checks JSON)
+const HTML_PAGE_SCHEMA = { type: 'file', mediaTypes: ['text/html'] };
+const PDF_DOCUMENT_SCHEMA = { type: 'file', mediaTypes: ['application/pdf'] };
+const LABEL_DOCUMENT_SCHEMA = { type: 'file', mediaTypes: ['application/pdf', 'text/plain'] };
+
+// GET /carriers
+const CARRIER_LIST_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'name', 'accessorials', 'services'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      countries: { type: 'array', nullable: true, items: { type: 'string' } },
+      accessorials: { type: 'array', items: { type: 'string' } },
+      services: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+// GET /services
+const SERVICE_LIST_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'carrier_id', 'carrier_name', 'service_name', 'mode', 'guaranteed'],
+    properties: {
+      id: { type: 'string' },
+      carrier_id: { type: 'string' },
+      carrier_name: { type: 'string' },
+      service_name: { type: 'string' },
+      mode: { type: 'string', enum: ['parcel', 'ltl'] },
+      transit_days: { type: 'integer' },
+      guaranteed: { type: 'boolean' }
+    }
+  }
+};
+
+// A webhook subscription (POST /webhooks also returns its secret, once)
+const WEBHOOK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'url', 'events', 'created_at'],
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string' },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    created_at: { type: 'string' }
+  }
+};
+
+const WEBHOOK_CREATED_SCHEMA = {
+  ...WEBHOOK_SCHEMA,
+  required: [...WEBHOOK_SCHEMA.required, 'secret'],
+  properties: { ...WEBHOOK_SCHEMA.properties, secret: { type: 'string' } }
+};
+
+// POST /webhooks body
+const WEBHOOK_SUBSCRIPTION_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string' },
+    events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    secret: { type: 'string' }
+  }
+};
+
+// GET /webhooks/{webhook_id}/deliveries - newest first
+const WEBHOOK_DELIVERY_LIST_SCHEMA = {
+  type: 'object',
+  required: ['deliveries'],
+  properties: {
+    deliveries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'event', 'event_id', 'status', 'attempts', 'created_at'],
+        properties: {
+          id: { type: 'string' },
+          event: { type: 'string', enum: WEBHOOK_EVENTS },
+          event_id: { type: 'string' },
+          status: { type: 'string', enum: ['pending', 'retrying', 'delivered', 'failed', 'abandoned'] },
+          attempts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['attempt', 'at'],
+              properties: {
+                attempt: { type: 'integer', minimum: 1 },
+                at: { type: 'string' },
+                status_code: { type: 'integer' },
+                duration_ms: { type: 'integer', minimum: 0 },
+                error: { type: 'string' }
+              }
+            }
+          },
+          next_attempt_at: { type: 'string', nullable: true },
+          created_at: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Where a shipment is, from its tracking timeline
+const SHIPMENT_STATES = ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'exception', 'delivered', 'cancelled'];
+
+// POST /shipment body
+const SHIPMENT_REQUEST_SCHEMA = {
+  type: 'object',
+  required: ['rate_id', 'service_id'],
+  properties: {
+    rate_id: { type: 'string' },
+    service_id: { type: 'string' },
+    unique_id: { type: 'string' }
+  }
+};
+
+// A booked shipment
+const SHIPMENT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'state', 'rate_id', 'service_id', 'primary_tracking_number', 'tracking_numbers', 'price', 'rate', 'booked_at'],
+  properties: {
+    id: { type: 'string' },
+    unique_id: { type: 'string', nullable: true },
+    state: { type: 'string', enum: SHIPMENT_STATES },
+    rate_id: { type: 'string' },
+    service_id: { type: 'string' },
+    carrier_name: { type: 'string' },
+    service_name: { type: 'string' },
+    primary_tracking_number: { type: 'string' },
+    tracking_numbers: { type: 'array', items: { type: 'string' } },
+    price: MONEY_SCHEMA,
+    rate: RATE_SCHEMA,
+    booked_at: { type: 'string' },
+    cancelled_at: { type: 'string', nullable: true }
+  }
+};
+
+const SHIPMENT_BOOKED_SCHEMA = {
+  type: 'object',
+  required: ['id', 'shipment'],
+  properties: { id: { type: 'string' }, shipment: SHIPMENT_SCHEMA }
+};
+
+const SHIPMENT_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['shipment'],
+  properties: { shipment: SHIPMENT_SCHEMA }
+};
+
+// A scheduled (or cancelled) pickup - the address is the shipment's origin
+const SCHEDULED_PICKUP_SCHEMA = {
+  type: 'object',
+  required: ['id', 'confirmation_number', 'status', 'rate_id', 'service_id', 'address', 'date', 'ready_at', 'ready_until', 'window'],
+  properties: {
+    id: { type: 'string' },
+    confirmation_number: { type: 'string' },
+    status: { type: 'string', enum: ['scheduled', 'cancelled'] },
+    rate_id: { type: 'string' },
+    service_id: { type: 'string' },
+    carrier_name: { type: 'string' },
+    address: { ...ADDRESS_SCHEMA, properties: { name: { type: 'string' }, ...ADDRESS_SCHEMA.properties } },
+    date: DATE_SCHEMA,
+    ready_at: TIME_SCHEMA,
+    ready_until: TIME_SCHEMA,
+    window: { type: 'string' },
+    has_loading_dock: { type: 'boolean' },
+    tailgate_required: { type: 'boolean' },
+    contact_name: { type: 'string', nullable: true },
+    contact_phone_number: { type: 'string', nullable: true },
+    instructions: { type: 'string', nullable: true },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' },
+    cancelled_at: { type: 'string', nullable: true }
+  }
+};
+
+const PICKUP_CREATED_SCHEMA = {
+  type: 'object',
+  required: ['id', 'pickup'],
+  properties: { id: { type: 'string' }, pickup: SCHEDULED_PICKUP_SCHEMA }
+};
+
+const PICKUP_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['pickup'],
+  properties: { pickup: SCHEDULED_PICKUP_SCHEMA }
+};
+
+const PICKUP_LIST_SCHEMA = {
+  type: 'object',
+  required: ['pickups'],
+  properties: { pickups: { type: 'array', items: SCHEDULED_PICKUP_SCHEMA } }
+};
+
+// GET /tracking/{carrier}/{tracking_number}: the events that have happened so far
+const TRACKING_SCHEMA = {
+  type: 'object',
+  required: ['tracking_number', 'carrier_name', 'service_name', 'state', 'estimated_delivery', 'events'],
+  properties: {
+    tracking_number: { type: 'string' },
+    carrier_name: { type: 'string' },
+    service_name: { type: 'string' },
+    state: { type: 'string', enum: SHIPMENT_STATES },
+    estimated_delivery: { type: 'string' },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'when', 'where', 'message'],
+        properties: {
+          type: { type: 'string' },
+          when: { type: 'string' },
+          where: { type: 'object', properties: { city: { type: 'string' }, region: { type: 'string' }, country: { type: 'string' } } },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// The global fault-injection scenario (GET also lists the available ones)
+const SCENARIO_STATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    active: {
+      type: 'object',
+      nullable: true,
+      required: ['name', 'definition', 'seed'],
+      properties: { name: { type: 'string' }, definition: { type: 'any' }, seed: { type: 'any' } }
+    },
+    available: {
+      type: 'array',
+      items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, description: { type: 'string', nullable: true } } }
+    }
+  }
+};
+
+// POST /admin/scenario body: a scenario from scenarios.json by name, or an inline definition
+const SCENARIO_REQUEST_SCHEMA = {
+  type: 'object',
+  properties: { name: { type: 'string' }, scenario: { type: 'any' }, seed: { type: 'any' } }
+};
+
+// One line of the admin rate request list
+const RATE_REQUEST_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['id', 'status', 'created_at', 'expires_at', 'origin', 'destination', 'packaging_type', 'rates', 'failures'],
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string', enum: ['processing', 'completed'] },
+    account_id: { type: 'string', nullable: true },
+    created_at: { type: 'string' },
+    expires_at: { type: 'string' },
+    origin: { type: 'string' },
+    destination: { type: 'string' },
+    packaging_type: { type: 'string', enum: ['package', 'pallet'] },
+    optimize_mode: { type: 'boolean' },
+    scenario: { type: 'string', nullable: true },
+    rates: { type: 'integer', minimum: 0 },
+    failures: { type: 'integer', minimum: 0 },
+    cheapest: { ...MONEY_SCHEMA, nullable: true }
+  }
+};
+
+const RATE_REQUEST_LIST_SCHEMA = {
+  type: 'object',
+  required: ['total', 'rate_requests'],
+  properties: { total: { type: 'integer', minimum: 0 }, rate_requests: { type: 'array', items: RATE_REQUEST_SUMMARY_SCHEMA } }
+};
+
+// GET /admin/rate-requests/{id}: the stored request, its quotes, the polling response and how each rate was priced
+const RATE_REQUEST_DETAIL_SCHEMA = {
+  ...RATE_REQUEST_SUMMARY_SCHEMA,
+  required: [...RATE_REQUEST_SUMMARY_SCHEMA.required, 'request', 'response', 'pricing'],
+  properties: {
+    ...RATE_REQUEST_SUMMARY_SCHEMA.properties,
+    request: { type: 'any' },
+    packing_plan: { type: 'any', nullable: true },
+    quotes: {
+      type: 'array',
+      nullable: true,
+      items: {
+        type: 'object',
+        required: ['service_id', 'outcome'],
+        properties: {
+          service_id: { type: 'string' },
+          ready_at: { type: 'string', nullable: true },
+          outcome: { type: 'string', enum: ['rate', 'failure', 'never'] },
+          message: { type: 'string', nullable: true }
+        }
+      }
+    },
+    response: RATE_PROGRESS_SCHEMA,
+    pricing: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['service_id', 'lines', 'lines_total', 'balanced'],
+        properties: {
+          service_id: { type: 'string' },
+          carrier_name: { type: 'string' },
+          service_name: { type: 'string' },
+          measurements_used: { ...MEASUREMENTS_USED_SCHEMA, nullable: true },
+          zone: { type: 'any', nullable: true },
+          tariff: { type: 'any', nullable: true },
+          exchange_rate: { type: 'any', nullable: true },
+          lines: {
+            type: 'array',
+            items: { type: 'object', required: ['type'], properties: { type: { type: 'string' }, rate: { type: 'number' }, amount: MONEY_SCHEMA } }
+          },
+          lines_total: { type: 'object', properties: { currency: { type: 'string', nullable: true }, value: { type: 'string' } } },
+          total: { ...MONEY_SCHEMA, nullable: true },
+          balanced: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+// DELETE /admin/rate-requests
+const RATE_REQUESTS_CLEARED_SCHEMA = {
+  type: 'object',
+  required: ['deleted'],
+  properties: { deleted: { type: 'integer', minimum: 0 } }
+};
+
+// A 400 from the carrier's pickup rules also suggests the earliest pickup it can take
+const PICKUP_REJECTED_SCHEMA = {
+  ...ERROR_SCHEMA,
+  properties: {
+    ...ERROR_SCHEMA.properties,
+    next_available_pickup: { type: 'object', properties: { date: DATE_SCHEMA, ready_at: TIME_SCHEMA, ready_until: TIME_SCHEMA } }
+  }
+};
+
+// Named schemas in components.schemas - anywhere else they appear they become $refs
+const OPENAPI_COMPONENTS = {
+  RateRequest: RATE_REQUEST_SCHEMA,
+  Location: LOCATION_SCHEMA,
+  Address: ADDRESS_SCHEMA,
+  PackagingProperties: PACKAGING_PROPERTIES_SCHEMA,
+  Piece: PIECE_SCHEMA,
+  Measurements: MEASUREMENTS_SCHEMA,
+  Date: DATE_SCHEMA,
+  Time: TIME_SCHEMA,
+  Money: MONEY_SCHEMA,
+  MeasurementsUsed: MEASUREMENTS_USED_SCHEMA,
+  Rate: RATE_SCHEMA,
+  RateProgress: RATE_PROGRESS_SCHEMA,
+  RateAccepted: RATE_ACCEPTED_SCHEMA,
+  Error: ERROR_SCHEMA,
+  Health: HEALTH_SCHEMA,
+  Webhook: WEBHOOK_SCHEMA,
+  Shipment: SHIPMENT_SCHEMA,
+  Pickup: SCHEDULED_PICKUP_SCHEMA,
+  PickupRequest: PICKUP_SCHEMA,
+  RateRequestSummary: RATE_REQUEST_SUMMARY_SCHEMA
+};
+
+// Every non-public operation can also be turned away by the auth, rate-limit and scenario middleware
+const MIDDLEWARE_RESPONSES = { 401: ERROR_SCHEMA, 403: ERROR_SCHEMA, 429: ERROR_SCHEMA, 500: ERROR_SCHEMA };
+
+// Query parameters shared by the endpoints that act on one quoted rate
+const QUOTED_RATE_QUERY = { service_id: { type: 'string' } };
+
+// Documented operations with their responses by status code - every route the app registers is listed here.
+// Admin operations need an admin key when auth is on
+const API_OPERATIONS = [
+  {
+    method: 'get',
+    path: '/',
+    summary: 'What the mock is and the features it simulates',
+    public: true,
+    responses: { 200: SERVICE_INFO_SCHEMA }
+  },
+  {
+    method: 'get',
+    path: '/health',
+    summary: 'Service health',
+    public: true,
+    responses: { 200: HEALTH_SCHEMA }
+  },
+  {
+    method: 'get',
+    path: '/openapi.json',
+    summary: 'This document',
+    public: true,
+    responses: { 200: OPENAPI_DOCUMENT_SCHEMA }
+  },
+  {
+    method: 'post',
+    path: '/rate',
+    summary: 'Request rates - poll GET /rate/{rate_id} with the returned request_id',
+    requestBody: RATE_REQUEST_SCHEMA,
+    responses: { 202: RATE_ACCEPTED_SCHEMA, 400: ERROR_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/rate/{rate_id}',
+    summary: 'Rates so far for a rate request - status.done once every service has answered',
+    responses: { 200: RATE_PROGRESS_SCHEMA, 404: ERROR_SCHEMA, 410: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/carriers',
+    summary: 'Carriers in the catalog, with their accessorials and services',
+    responses: { 200: CARRIER_LIST_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/services',
+    summary: 'Every service in the catalog',
+    responses: { 200: SERVICE_LIST_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'post',
+    path: '/shipment',
+    summary: 'Book a rate from a completed rate request',
+    requestBody: SHIPMENT_REQUEST_SCHEMA,
+    responses: { 201: SHIPMENT_BOOKED_SCHEMA, 400: ERROR_SCHEMA, 404: ERROR_SCHEMA, 409: ERROR_SCHEMA, 410: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/shipment/{shipment_id}',
+    summary: 'A booked shipment and its current state',
+    responses: { 200: SHIPMENT_RESPONSE_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'delete',
+    path: '/shipment/{shipment_id}',
+    summary: 'Cancel a shipment before it is picked up',
+    responses: { 200: SHIPMENT_RESPONSE_SCHEMA, 404: ERROR_SCHEMA, 409: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/label/{rate_id}',
+    summary: 'Shipping label for a quoted rate - PDF, or ZPL with format=zpl',
+    query: { ...QUOTED_RATE_QUERY, format: { type: 'string', enum: ['pdf', 'zpl'] }, size: { type: 'string', enum: Object.keys(LABEL_SIZES) } },
+    responses: { 200: LABEL_DOCUMENT_SCHEMA, 400: ERROR_SCHEMA, 404: ERROR_SCHEMA, 410: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/commercial-invoice/{rate_id}',
+    summary: 'Commercial invoice PDF for a cross-border quoted rate',
+    query: QUOTED_RATE_QUERY,
+    responses: { 200: PDF_DOCUMENT_SCHEMA, 400: ERROR_SCHEMA, 404: ERROR_SCHEMA, 410: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'post',
+    path: '/pickup',
+    summary: 'Schedule a carrier pickup for a quoted rate',
+    requestBody: PICKUP_SCHEMA,
+    responses: { 201: PICKUP_CREATED_SCHEMA, 400: PICKUP_REJECTED_SCHEMA, 404: ERROR_SCHEMA, 409: ERROR_SCHEMA, 410: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/pickups',
+    summary: 'Pickups in window order, optionally by status and date (YYYY-MM-DD)',
+    query: { status: { type: 'string', enum: ['scheduled', 'cancelled'] }, date: { type: 'string' } },
+    responses: { 200: PICKUP_LIST_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/pickup/{pickup_id}',
+    summary: 'A pickup',
+    responses: { 200: PICKUP_RESPONSE_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'patch',
+    path: '/pickup/{pickup_id}',
+    summary: 'Change a pickup before its window opens',
+    requestBody: PICKUP_UPDATE_SCHEMA,
+    responses: { 200: PICKUP_RESPONSE_SCHEMA, 400: PICKUP_REJECTED_SCHEMA, 404: ERROR_SCHEMA, 409: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'delete',
+    path: '/pickup/{pickup_id}',
+    summary: 'Cancel a pickup before its window opens',
+    responses: { 200: PICKUP_RESPONSE_SCHEMA, 404: ERROR_SCHEMA, 409: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/tracking/{carrier}/{tracking_number}',
+    summary: 'Tracking events so far for a booked shipment',
+    responses: { 200: TRACKING_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'post',
+    path: '/webhooks',
+    summary: 'Subscribe a URL to events - the signing secret is only returned here',
+    requestBody: WEBHOOK_SUBSCRIPTION_SCHEMA,
+    responses: { 201: WEBHOOK_CREATED_SCHEMA, 400: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/webhooks',
+    summary: 'The calling account\'s webhooks',
+    responses: { 200: { type: 'object', required: ['webhooks'], properties: { webhooks: { type: 'array', items: WEBHOOK_SCHEMA } } }, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'delete',
+    path: '/webhooks/{webhook_id}',
+    summary: 'Remove a webhook - pending retries are abandoned',
+    responses: { 200: WEBHOOK_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/webhooks/{webhook_id}/deliveries',
+    summary: 'A webhook\'s delivery log, newest first',
+    responses: { 200: WEBHOOK_DELIVERY_LIST_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/admin',
+    summary: 'Admin UI for browsing recorded rate requests',
+    public: true,
+    responses: { 200: HTML_PAGE_SCHEMA }
+  },
+  {
+    method: 'get',
+    path: '/admin/scenario',
+    summary: 'The global fault-injection scenario and the available ones',
+    responses: { 200: SCENARIO_STATE_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'post',
+    path: '/admin/scenario',
+    summary: 'Set the global fault-injection scenario',
+    requestBody: SCENARIO_REQUEST_SCHEMA,
+    responses: { 200: SCENARIO_STATE_SCHEMA, 400: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'delete',
+    path: '/admin/scenario',
+    summary: 'Clear the global fault-injection scenario',
+    responses: { 200: SCENARIO_STATE_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/admin/rate-requests',
+    summary: 'Stored rate requests, newest first',
+    query: {
+      status: { type: 'string', enum: ['processing', 'completed'] },
+      account_id: { type: 'string' },
+      service_id: { type: 'string' },
+      q: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, maximum: 500 },
+      offset: { type: 'integer', minimum: 0 }
     },
-    rates: rateRequest.rates
+    responses: { 200: RATE_REQUEST_LIST_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'delete',
+    path: '/admin/rate-requests',
+    summary: 'Forget every stored rate request',
+    responses: { 200: RATE_REQUESTS_CLEARED_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'get',
+    path: '/admin/rate-requests/{id}',
+    summary: 'Everything recorded for one rate request, with each rate\'s pricing breakdown',
+    responses: { 200: RATE_REQUEST_DETAIL_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  },
+  {
+    method: 'delete',
+    path: '/admin/rate-requests/{id}',
+    summary: 'Forget one rate request',
+    responses: { 200: RATE_REQUEST_SUMMARY_SCHEMA, 404: ERROR_SCHEMA, ...MIDDLEWARE_RESPONSES }
+  }
+];
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK', 201: 'Created', 202: 'Accepted', 400: 'Validation failed', 401: 'Missing or unknown API key', 403: 'Forbidden',
+  404: 'Not found', 409: 'Conflict', 410: 'Expired', 429: 'Too many requests', 500: 'Server error'
+};
+
+// One of our validator schemas as an OpenAPI 3.1 schema (named ones become $refs below the top level)
+function toOpenApiSchema(schema, isComponent = false) {
+  const name = Object.keys(OPENAPI_COMPONENTS).find(key => OPENAPI_COMPONENTS[key] === schema);
+  if (name && !isComponent) return { $ref: `#/components/schemas/${name}` };
+  
+  const nullable = type => (schema.nullable ? [type, 'null'] : type);
+  switch (schema.type) {
+    case 'any':
+      return {};
+    case 'file':
+      return { type: 'string', format: 'binary' };
+    case 'object':
+      return {
+        type: nullable('object'),
+        ...(schema.required ? { required: schema.required } : {}),
+        properties: Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, toOpenApiSchema(child)]))
+      };
+    case 'array':
+      return { type: nullable('array'), items: toOpenApiSchema(schema.items), ...(schema.minItems ? { minItems: schema.minItems } : {}) };
+    default: {
+      const converted = { type: nullable(schema.type) };
+      ['enum', 'minimum', 'maximum', 'exclusiveMinimum'].forEach(key => {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+      });
+      if (schema.pattern) converted.pattern = schema.pattern.source;
+      return converted;
+    }
+  }
+}
+
+// The OpenAPI document served at /openapi.json
+function buildOpenApiDocument() {
+  const paths = {};
+  API_OPERATIONS.forEach(operation => {
+    const parameters = [
+      ...[...operation.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+      ...Object.entries(operation.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema: toOpenApiSchema(schema) }))
+    ];
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method] = {
+      summary: operation.summary,
+      ...(operation.public ? { security: [] } : {}),
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(operation.requestBody ? { requestBody: { required: true, content: { 'application/json': { schema: toOpenApiSchema(operation.requestBody) } } } } : {}),
+      responses: Object.fromEntries(Object.entries(operation.responses).map(([status, schema]) => [status, {
+        description: STATUS_DESCRIPTIONS[status],
+        content: Object.fromEntries((schema.mediaTypes || ['application/json']).map(mediaType => [mediaType, { schema: toOpenApiSchema(schema) }]))
+      }]))
+    };
   });
+  
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Freightcom Mock API', version: '3.1.0', description: 'Weight-based rating mock of the Freightcom API' },
+    servers: [{ url: '/' }],
+    security: [{ ApiKey: [] }],
+    paths: paths,
+    components: {
+      securitySchemes: { ApiKey: { type: 'apiKey', in: 'header', name: 'Authorization', description: 'API key, bare or as "Bearer <key>"' } },
+      schemas: Object.fromEntries(Object.entries(OPENAPI_COMPONENTS).map(([name, schema]) => [name, toOpenApiSchema(schema, true)]))
+    }
+  };
+}
+
+// Development mode: JSON responses from documented operations that don't match the document are
+// logged and flagged with X-Response-Validation: failed (the response itself still goes out)
+function checkResponseContract(req, res, body) {
+  const operation = API_OPERATIONS.find(op => op.method === req.method.toLowerCase() &&
+    new RegExp(`^${op.path.replace(/\{[^}]+\}/g, '[^/]+')}$`).test(req.path));
+  if (!operation) return;
+  
+  const schema = operation.responses[res.statusCode];
+  const errors = {};
+  if (!schema) {
+    errors.status = `${res.statusCode} is not documented for ${operation.method.toUpperCase()} ${operation.path}`;
+  } else {
+    validateAgainstSchema(body, schema, '', errors, true);
+  }
+  
+  if (Object.keys(errors).length > 0) {
+    console.error(`📜 Response breaks the OpenAPI contract: ${req.method} ${req.path} ${res.statusCode}`, errors);
+    res.set('X-Response-Validation', 'failed');
+  }
+}
+
+// OpenAPI document for every endpoint and the payloads they take
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(buildOpenApiDocument());
 });
 
 // Health check endpoint
@@ -484,8 +4632,11 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    version: '3.0.3-concord-origin',
-    origin: '101 Planchet Rd. Unit #6-7, Concord, Ontario, L4K 2C6',
+    version: '3.1.0',
+    origin: formatAddress(DEFAULT_ORIGIN),
+    storage: STORAGE_BACKEND,
+    auth: AUTH_ENABLED,
+    fixtures: FIXTURE_MODE,
     uptime: process.uptime()
   });
 });
@@ -494,26 +4645,54 @@ app.get('/health', (req, res) => {
 app.get('/', (req, res) => {
   res.status(200).json({
     name: 'Freightcom Mock API Server - Designer Deck',
-    version: '3.0.3-concord-origin',
-    description: 'Weight-based pricing with hardcoded Concord, Ontario origin',
-    origin: '101 Planchet Rd. Unit #6-7, Concord, Ontario, L4K 2C6',
+    version: '3.1.0',
+    description: `Weight-based pricing with configurable origins (default: ${DEFAULT_ORIGIN.name})`,
+    origin: formatAddress(DEFAULT_ORIGIN),
     features: [
-      'Hardcoded Concord, ON origin (Designer Deck warehouse)',
-      'GTA-optimized distance calculations',
+      'Origin from request with configurable default warehouse',
+      'Postal-code zone engine (Canadian FSA / US ZIP3, offline dataset)',
       'Weight-based rate calculation',
       'Proper weight scaling with quantity',
-      'Inches to feet volume conversion',
-      'Distance-based pricing from Concord',
-      'Dimensional weight for packages',
+      'Metric and imperial measurements (kg/lb, cm/in/ft) with the normalized measurements_used on every rate',
+      'Carrier-specific zone charts from great-circle lane distance',
+      'Cross-border rating with customs validation, duties and brokerage',
+      'Quotes in other currencies via a configurable exchange-rate table',
+      'GST/HST/PST/QST by destination province from a configurable tax table',
+      'Rate request schema validation with field-level 400 errors (optional strict mode)',
+      'Per-carrier accessorials (liftgate, inside delivery, appointment, limited access, dangerous goods, signature)',
+      'Carrier/service catalog from JSON/YAML files with hot reload',
+      'Dimensional weight for packages with per-service divisors (in³/lb or cm³/kg)',
       'Freight class calculation for LTL',
       'Residential vs commercial rates',
-      'Realistic Canadian carrier pricing'
+      'Realistic Canadian carrier pricing',
+      'Shipment booking and cancellation from quoted rates',
+      'PDF/ZPL shipping labels and commercial invoices',
+      'Time-accelerated tracking timelines with exception scenarios',
+      'Signed webhook delivery of rate completion events with retries',
+      'Memory or file storage with TTL eviction of expired rate requests (410 once evicted)',
+      'Incremental per-service rate completion with per-service failures',
+      'Rate shopping rules (max transit days, required delivery date, price cap, guaranteed only) and sort_by price/transit/value',
+      'Estimated delivery dates in business days from the ship date (weekends and holidays skipped)',
+      'Optimize mode: pallet building on 48x40 pallets and a parcel-vs-LTL recommendation',
+      'Pickup scheduling with carrier cut-offs, holiday calendars and time windows',
+      'API key authentication with per-key rate limits, per-account discounts and admin keys for /admin',
+      'Seeded fault-injection scenarios (latency, 429s, 500s, silent carriers, malformed rates)',
+      'Admin API and web UI (GET /admin) for browsing recorded rate requests and pricing breakdowns',
+      'X-Request-Id on every response, with optional structured JSON logging (LOG_FORMAT=json)',
+      'Record/replay golden fixtures (FIXTURE_MODE) with a re-pricing compare script (scripts/replay.js)',
+      'OpenAPI 3.1 document at /openapi.json, with response validation in development (NODE_ENV=development)'
     ]
   });
 });
 
 // Error handling
 app.use((err, req, res, next) => {
+  // Unparseable JSON is the client's problem, not a server error
+  if (err.type === 'entity.parse.failed') {
+    console.log(`⚠️  Malformed JSON body: ${err.message}`);
+    return res.status(400).json({ message: 'Malformed JSON body', data: { body: err.message } });
+  }
+  
   console.error('❌ Error:', err);
   res.status(500).json({ 
     message: 'Shipping rate calculation temporarily unavailable',
@@ -526,28 +4705,73 @@ app.use((req, res) => {
   console.log(`❓ 404 - Endpoint not found: ${req.method} ${req.path}`);
   res.status(404).json({ 
     message: 'Endpoint not found',
-    available_endpoints: ['GET /', 'GET /health', 'POST /rate', 'GET /rate/{id}']
+    available_endpoints: [
+      'GET /', 'GET /health', 'GET /openapi.json', 'POST /rate', 'GET /rate/{id}',
+      'POST /shipment', 'GET /shipment/{id}', 'DELETE /shipment/{id}',
+      'POST /pickup', 'GET /pickups', 'GET /pickup/{id}', 'PATCH /pickup/{id}', 'DELETE /pickup/{id}',
+      'GET /label/{rate_id}', 'GET /commercial-invoice/{rate_id}',
+      'GET /tracking/{carrier}/{tracking_number}', 'GET /carriers', 'GET /services',
+      'POST /webhooks', 'GET /webhooks', 'DELETE /webhooks/{id}', 'GET /webhooks/{id}/deliveries',
+      'GET /admin/scenario', 'POST /admin/scenario', 'DELETE /admin/scenario',
+      'GET /admin', 'GET /admin/rate-requests', 'DELETE /admin/rate-requests',
+      'GET /admin/rate-requests/{id}', 'DELETE /admin/rate-requests/{id}'
+    ]
   });
 });
 
-// Start server
+// Start server - only when run directly, so scripts and tests can load the app without it listening
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log('\n🚀 Freightcom Mock API Server v3.0.3 - Concord Origin');
-  console.log(`📡 Server running on: http://localhost:${PORT}`);
-  console.log('\n🏢 DESIGNER DECK WAREHOUSE:');
-  console.log('   📍 101 Planchet Rd. Unit #6-7');
-  console.log('   📍 Concord, Ontario, L4K 2C6');
-  console.log('\n🎯 Features:');
-  console.log('  🏭 Fixed Concord, ON origin (GTA warehouse)');
-  console.log('  🚚 GTA-optimized shipping rates');
-  console.log('  ⚖️  Weight scales properly with quantity');
-  console.log('  📏 Fixed inches to feet volume conversion');
-  console.log('  🚛 Accurate freight class calculation');
-  console.log('  📍 Distance-based pricing FROM Concord');
-  console.log('  🏠 Residential vs commercial surcharges');
-  console.log('  💰 Realistic Canadian carrier pricing');
-  console.log('\n📊 All shipping calculated from Designer Deck warehouse!');
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('\n🚀 Freightcom Mock API Server v3.1.0');
+    console.log(`📡 Server running on: http://localhost:${PORT}`);
+    console.log(`\n🏢 DEFAULT ORIGIN (${DEFAULT_ORIGIN_ID}):`);
+    console.log(`   📍 ${DEFAULT_ORIGIN.name}`);
+    console.log(`   📍 ${formatAddress(DEFAULT_ORIGIN)}`);
+    console.log('\n🎯 Features:');
+    console.log('  🏭 Origin from request, falling back to the default warehouse');
+    console.log('  🚚 Lane-based shipping rates');
+    console.log('  ⚖️  Weight scales properly with quantity');
+    console.log('  📏 kg/lb and cm/in/ft measurements with per-service dimensional divisors');
+    console.log('  🚛 Accurate freight class calculation');
+    console.log('  📍 Carrier zones from postal-code lane distance');
+    console.log('  🛃 Cross-border duties, brokerage and currency conversion');
+    console.log('  🧾 Canadian sales taxes by destination province');
+    console.log(`  ✅ Request validation${STRICT_VALIDATION ? ' (strict)' : ''}`);
+    console.log('  🛗 Per-carrier accessorial pricing');
+    console.log(`  📚 Carrier catalog from ${CARRIERS_DIR} (hot reload)`);
+    console.log('  🏠 Residential vs commercial surcharges');
+    console.log('  💰 Realistic Canadian carrier pricing');
+    console.log('  ⏱️  Rates stream in as each carrier answers');
+    console.log('  🗓️  Shopping rules, sort_by and estimated delivery dates');
+    console.log(`  🔑 API keys ${AUTH_ENABLED ? `required (${Object.keys(accountConfig.keys).length} keys)` : 'not required'}`);
+    console.log(`  🧱 Optimize mode: 48x40 pallets up to ${PALLET_MAX_HEIGHT}in / ${PALLET_MAX_WEIGHT}lb, parcel vs LTL`);
+    console.log('  🎫 Shipment booking from quoted rates');
+    console.log('  🚚 Pickups with cut-offs, statutory holidays and ready/close windows');
+    console.log('  🏷️  PDF/ZPL labels and commercial invoices');
+    console.log(`  📍 Tracking timelines (${TRACKING_TIME_ACCELERATION}x speed)`);
+    console.log('  🪝 Signed webhooks for completed rate requests');
+    console.log(`  💾 ${STORAGE_BACKEND === 'file' ? `File storage in ${STORAGE_DIR}` : 'In-memory storage'} (rate requests kept ${RATE_REQUEST_TTL_HOURS}h or until quotes expire)`);
+    console.log(`  🧪 ${Object.keys(scenarioConfig.scenarios).length} fault-injection scenarios (X-Mock-Scenario / POST /admin/scenario)`);
+    if (FIXTURE_MODE !== 'off') console.log(`  📼 Fixture ${FIXTURE_MODE} mode (${FIXTURES_DIR})`);
+    console.log(`  📜 OpenAPI document at /openapi.json${RESPONSE_VALIDATION ? ' (responses validated against it)' : ''}`);
+    console.log(`  🔎 Admin UI at http://localhost:${PORT}/admin${AUTH_ENABLED ? ' (admin key required)' : ''}, ${LOG_FORMAT === 'json' ? 'JSON' : 'text'} logs`);
+    console.log(`\n📊 Shipping calculated from ${DEFAULT_ORIGIN.name} unless the request names an origin`);
+  });
+}
 
 module.exports = app;
+
+// Fixture helpers for scripts/replay.js
+module.exports.readFixtures = readFixtures;
+module.exports.compareFixture = compareFixture;
+
+// Carrier catalog, pricing engine and OpenAPI document for the tests
+module.exports.readCarrierCatalog = readCarrierCatalog;
+module.exports.analyzeShipmentData = analyzeShipmentData;
+module.exports.calculateFreightClass = calculateFreightClass;
+module.exports.calculateLane = calculateLane;
+module.exports.generateParcelRates = generateParcelRates;
+module.exports.generateLTLRates = generateLTLRates;
+module.exports.calculateWeightBasedRates = calculateWeightBasedRates;
+module.exports.buildOpenApiDocument = buildOpenApiDocument;
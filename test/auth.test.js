@@ -0,0 +1,116 @@
+// API keys: the admin endpoints need an admin key, and webhooks belong to the account that registered them
+process.env.AUTH_ENABLED = 'true';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const app = require('../server');
+
+// Keys from config/accounts.json
+const ADMIN_KEY = 'admin_4d9a2f7c1e86';
+const DESIGNER_DECK_KEY = 'dd_live_8c1f4e2a9b7d';
+const SANDBOX_KEY = 'sandbox_5b2d7e1f0a9c';
+
+const RATE_REQUEST = {
+  details: {
+    packaging_type: 'package',
+    origin: { address: { city: 'Concord', region: 'ON', country: 'CA', postal_code: 'L4K2C6' } },
+    destination: { address: { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' } },
+    packaging_properties: {
+      packages: [{ measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } }]
+    }
+  }
+};
+
+let server;
+let baseUrl;
+let receiver;
+let receiverUrl;
+const received = [];
+
+before(async () => {
+  server = app.listen(0);
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.end();
+    });
+  }).listen(0);
+  await Promise.all([server, receiver].map(s => new Promise(resolve => s.once('listening', resolve))));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(() => {
+  server.close();
+  receiver.close();
+});
+
+async function call(method, path, key, body) {
+  const headers = {};
+  if (key) headers.Authorization = key;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(baseUrl + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+}
+
+test('admin endpoints need an admin key', async () => {
+  for (const [method, path] of [['GET', '/admin/scenario'], ['POST', '/admin/scenario'], ['GET', '/admin/rate-requests'], ['DELETE', '/admin/rate-requests']]) {
+    const missing = await call(method, path);
+    assert.equal(missing.status, 401, `${method} ${path} without a key`);
+    assert.equal(missing.body.data.Authorization, 'API key is required');
+
+    const customer = await call(method, path, DESIGNER_DECK_KEY);
+    assert.equal(customer.status, 403, `${method} ${path} with a customer key`);
+    assert.equal(customer.body.data.Authorization, 'API key is not an admin key');
+  }
+
+  const admin = await call('GET', '/admin/scenario', ADMIN_KEY);
+  assert.equal(admin.status, 200);
+});
+
+test('the admin UI page loads without a key and the admin key sees every account\'s rate requests', async () => {
+  const page = await fetch(`${baseUrl}/admin`);
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('Content-Type'), /text\/html/);
+
+  const { body: { request_id } } = await call('POST', '/rate', DESIGNER_DECK_KEY, RATE_REQUEST);
+  const list = await call('GET', '/admin/rate-requests', ADMIN_KEY);
+  assert.equal(list.status, 200);
+  assert.equal(list.body.rate_requests.find(r => r.id === request_id).account_id, 'designer_deck');
+});
+
+test('webhooks are only visible to the account that registered them', async () => {
+  const created = await call('POST', '/webhooks', DESIGNER_DECK_KEY, { url: `${receiverUrl}/designer-deck` });
+  assert.equal(created.status, 201);
+
+  const own = await call('GET', '/webhooks', DESIGNER_DECK_KEY);
+  assert.deepEqual(own.body.webhooks.map(webhook => webhook.id), [created.body.id]);
+
+  const other = await call('GET', '/webhooks', SANDBOX_KEY);
+  assert.deepEqual(other.body.webhooks, []);
+  assert.equal((await call('GET', `/webhooks/${created.body.id}/deliveries`, SANDBOX_KEY)).status, 404);
+  assert.equal((await call('DELETE', `/webhooks/${created.body.id}`, SANDBOX_KEY)).status, 404);
+
+  assert.equal((await call('DELETE', `/webhooks/${created.body.id}`, DESIGNER_DECK_KEY)).status, 200);
+});
+
+test('rate.completed only goes to the webhooks of the account that asked for the rates', async () => {
+  const own = await call('POST', '/webhooks', DESIGNER_DECK_KEY, { url: `${receiverUrl}/designer-deck` });
+  const other = await call('POST', '/webhooks', SANDBOX_KEY, { url: `${receiverUrl}/sandbox` });
+
+  const { body: { request_id } } = await call('POST', '/rate', DESIGNER_DECK_KEY, RATE_REQUEST);
+  for (let attempt = 0; attempt < 40 && !received.some(r => r.body.data.request_id === request_id); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  assert.deepEqual(received.filter(r => r.body.data.request_id === request_id).map(r => r.path), ['/designer-deck']);
+  assert.ok((await call('GET', `/webhooks/${own.body.id}/deliveries`, DESIGNER_DECK_KEY)).body.deliveries.length > 0);
+  assert.equal((await call('GET', `/webhooks/${other.body.id}/deliveries`, SANDBOX_KEY)).body.deliveries.length, 0);
+});
@@ -0,0 +1,42 @@
+// Carrier catalog: YAML carrier files load, validate and price like the JSON ones
+const path = require('path');
+
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+process.env.CARRIERS_DIR = path.join(__dirname, 'fixtures', 'carriers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const { readCarrierCatalog, analyzeShipmentData, calculateLane, generateParcelRates } = require('../server');
+
+const ORIGIN = { city: 'Concord', region: 'ON', country: 'CA', postal_code: 'L4K2C6' };
+const DESTINATION = { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' };
+
+test('YAML carrier files load into the catalog', () => {
+  const { carriers, services } = readCarrierCatalog();
+
+  assert.deepEqual(carriers.map(carrier => carrier.id), ['northline']);
+  assert.equal(carriers[0].name, 'Northline Express');
+  assert.deepEqual(carriers[0].zone_chart.map(band => band.max_km), [100, null]);
+
+  const ground = services.get('nl_ground');
+  assert.equal(ground.carrier.id, 'northline');
+  assert.deepEqual(ground.dim_divisor, { unit: 'in3/lb', value: 166 });
+  assert.deepEqual(ground.transit_days_by_zone, { local: 1, national: 4 });
+});
+
+test('services from a YAML file are quoted', () => {
+  const data = analyzeShipmentData({
+    packages: [{ measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } }]
+  }, 'package');
+  const rates = generateParcelRates(data, calculateLane(ORIGIN, DESTINATION), { residential: false });
+
+  assert.deepEqual(rates.map(rate => rate.service_id), ['NL_GROUND']);
+  assert.equal(rates[0].carrier_name, 'Northline Express');
+  assert.equal(rates[0].zone.zone, 'local');
+  assert.equal(rates[0].transit_time_days, 1);
+  assert.equal(rates[0].total.value, '1500', 'brought up to the YAML minimum');
+});
@@ -0,0 +1,434 @@
+// HTTP contract: every route the app registers is in /openapi.json, every documented operation is exercised,
+// and in development mode the server flags any response that doesn't match the document with X-Response-Validation: failed
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+process.env.NODE_ENV = 'development';
+
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const app = require('../server');
+
+const RATE_REQUEST = {
+  details: {
+    packaging_type: 'package',
+    origin: { address: { city: 'Concord', region: 'ON', country: 'CA', postal_code: 'L4K2C6' } },
+    destination: { address: { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6', residential: true } },
+    packaging_properties: {
+      packages: [{ quantity: 2, measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } }]
+    }
+  }
+};
+
+// Buffalo to Toronto: cross-border, so it needs customs details and gets a commercial invoice
+const CROSS_BORDER_REQUEST = {
+  details: {
+    packaging_type: 'package',
+    origin: { address: { address_line_1: '1 Main St', city: 'Buffalo', region: 'NY', country: 'US', postal_code: '14201' } },
+    destination: { address: { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' } },
+    packaging_properties: {
+      packages: [{
+        quantity: 2,
+        description: 'Deck tiles',
+        hs_code: '4418.99',
+        declared_value: { currency: 'USD', value: 60 },
+        country_of_origin: 'CN',
+        measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } }
+      }]
+    }
+  },
+  currency: 'USD'
+};
+
+let server;
+let baseUrl;
+let receiver;
+let receiverUrl;
+
+before(async () => {
+  server = app.listen(0);
+  receiver = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.end());
+  }).listen(0);
+  await Promise.all([server, receiver].map(s => new Promise(resolve => s.once('listening', resolve))));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  receiver.close();
+});
+
+const document = app.buildOpenApiDocument();
+const operationFor = (method, path) => document.paths[path][method];
+
+// Call the API and check the response against the document: documented status and media type, no validation failure
+async function call(operation, method, path, body) {
+  const response = await fetch(baseUrl + path, {
+    method: method.toUpperCase(),
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const mediaType = (response.headers.get('Content-Type') || '').split(';')[0];
+  const payload = mediaType === 'application/json' ? await response.json() : await response.text();
+
+  const documented = operation.responses[response.status];
+  assert.ok(documented, `${method.toUpperCase()} ${path} answered ${response.status}, which is not documented`);
+  assert.ok(documented.content[mediaType], `${method.toUpperCase()} ${path} ${response.status} sent ${mediaType}, which is not documented`);
+  assert.equal(response.headers.get('X-Response-Validation'), null, `${method.toUpperCase()} ${path} ${response.status} breaks the contract`);
+  return { status: response.status, body: payload };
+}
+
+// Poll a rate request until every service has answered
+async function waitForRates(operation, requestId) {
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const result = await call(operation, 'get', `/rate/${requestId}`);
+    if (result.body.status.done) return result;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`rate request ${requestId} did not complete`);
+}
+
+// A completed rate request to book, label and pick up from
+async function quote(body) {
+  const { body: { request_id } } = await call(operationFor('post', '/rate'), 'post', '/rate', body);
+  const { body: progress } = await waitForRates(operationFor('get', '/rate/{rate_id}'), request_id);
+  return { rateId: request_id, rates: progress.rates };
+}
+
+// Shared by the examples that only need some quoted rate - cleared when the admin API forgets every rate request
+let domesticQuote = null;
+const getDomesticQuote = () => (domesticQuote = domesticQuote || quote(RATE_REQUEST));
+
+const addDays = (date, days) => {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * 24 * 60 * 60 * 1000);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+};
+
+// Schedule a pickup on a business day after the next available one, so its window can't open mid-test
+async function schedulePickup(rateId, serviceId) {
+  const operation = operationFor('post', '/pickup');
+  const pickup = { rate_id: rateId, service_id: serviceId, ready_at: { hour: 10, minute: 0 }, ready_until: { hour: 14, minute: 0 } };
+
+  const rejected = await call(operation, 'post', '/pickup', { ...pickup, date: { year: 2020, month: 1, day: 6 } });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.data.date, 'is in the past');
+
+  for (let days = 1; days <= 4; days++) {
+    const result = await call(operation, 'post', '/pickup', { ...pickup, date: addDays(rejected.body.next_available_pickup.date, days) });
+    if (result.status === 201) return result.body.pickup;
+  }
+  throw new Error(`no pickup day found after ${JSON.stringify(rejected.body.next_available_pickup.date)}`);
+}
+
+const slug = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const examples = {
+  'get /': async operation => {
+    const { status, body } = await call(operation, 'get', '/');
+    assert.equal(status, 200);
+    assert.ok(body.features.length > 0);
+  },
+
+  'get /health': async operation => {
+    const { status, body } = await call(operation, 'get', '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+  },
+
+  'get /openapi.json': async operation => {
+    const { status, body } = await call(operation, 'get', '/openapi.json');
+    assert.equal(status, 200);
+    assert.deepEqual(body, JSON.parse(JSON.stringify(document)));
+  },
+
+  'post /rate': async operation => {
+    const accepted = await call(operation, 'post', '/rate', RATE_REQUEST);
+    assert.equal(accepted.status, 202);
+    assert.match(accepted.body.request_id, /^[0-9a-f-]{36}$/);
+
+    const invalid = await call(operation, 'post', '/rate', { details: { packaging_type: 'crate' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.data['details.packaging_type'], 'must be one of package, pallet');
+  },
+
+  'get /rate/{rate_id}': async operation => {
+    const postOperation = operationFor('post', '/rate');
+    const { body: { request_id } } = await call(postOperation, 'post', '/rate', RATE_REQUEST);
+    const { status, body } = await waitForRates(operation, request_id);
+
+    assert.equal(status, 200);
+    assert.equal(body.status.complete, body.status.total);
+    assert.ok(body.rates.length > 0);
+    const totals = body.rates.map(rate => parseInt(rate.total.value));
+    assert.deepEqual(totals, [...totals].sort((a, b) => a - b), 'rates come back cheapest first without sort_by');
+    body.rates.forEach(rate => {
+      const lines = [rate.base, ...rate.surcharges.map(s => s.amount), ...rate.taxes.map(t => t.amount)];
+      assert.equal(lines.reduce((sum, amount) => sum + parseInt(amount.value), 0), parseInt(rate.total.value), `${rate.service_id} lines add up to the total`);
+      assert.ok(rate.surcharges.some(s => s.type === 'residential'), `${rate.service_id} has a residential surcharge`);
+    });
+
+    const missing = await call(operation, 'get', '/rate/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+  },
+
+  'get /carriers': async operation => {
+    const { status, body } = await call(operation, 'get', '/carriers');
+    assert.equal(status, 200);
+    assert.ok(body.some(carrier => carrier.id === 'canada_post' || carrier.services.includes('CP_REGULAR')));
+  },
+
+  'get /services': async operation => {
+    const { status, body } = await call(operation, 'get', '/services');
+    assert.equal(status, 200);
+    assert.ok(body.some(service => service.id === 'CP_REGULAR' && service.mode === 'parcel'));
+  },
+
+  'post /shipment': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const booked = await call(operation, 'post', '/shipment', { rate_id: rateId, service_id: rates[0].service_id, unique_id: 'order-1001' });
+    assert.equal(booked.status, 201);
+    assert.equal(booked.body.shipment.state, 'booked');
+    assert.deepEqual(booked.body.shipment.price, rates[0].total);
+
+    const again = await call(operation, 'post', '/shipment', { rate_id: rateId, service_id: rates[0].service_id });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.data.shipment_id, booked.body.id);
+
+    const missing = await call(operation, 'post', '/shipment', {});
+    assert.equal(missing.status, 400);
+    assert.deepEqual(Object.keys(missing.body.data).sort(), ['rate_id', 'service_id']);
+  },
+
+  'get /shipment/{shipment_id}': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const { body: { id } } = await call(operationFor('post', '/shipment'), 'post', '/shipment', { rate_id: rateId, service_id: rates[1].service_id });
+
+    const found = await call(operation, 'get', `/shipment/${id}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.shipment.service_id, rates[1].service_id);
+    assert.equal((await call(operation, 'get', '/shipment/unknown')).status, 404);
+  },
+
+  'delete /shipment/{shipment_id}': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const { body: { id } } = await call(operationFor('post', '/shipment'), 'post', '/shipment', { rate_id: rateId, service_id: rates[2].service_id });
+
+    const cancelled = await call(operation, 'delete', `/shipment/${id}`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.shipment.state, 'cancelled');
+    assert.equal((await call(operation, 'delete', `/shipment/${id}`)).status, 409);
+  },
+
+  'get /label/{rate_id}': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const pdf = await call(operation, 'get', `/label/${rateId}?service_id=${rates[0].service_id}`);
+    assert.equal(pdf.status, 200);
+    assert.ok(pdf.body.startsWith('%PDF-'));
+
+    const zpl = await call(operation, 'get', `/label/${rateId}?service_id=${rates[0].service_id}&format=zpl`);
+    assert.equal(zpl.status, 200);
+    assert.ok(zpl.body.startsWith('^XA'));
+
+    const invalid = await call(operation, 'get', `/label/${rateId}?service_id=${rates[0].service_id}&format=png`);
+    assert.equal(invalid.status, 400);
+  },
+
+  'get /commercial-invoice/{rate_id}': async operation => {
+    const crossBorder = await quote(CROSS_BORDER_REQUEST);
+    const invoice = await call(operation, 'get', `/commercial-invoice/${crossBorder.rateId}?service_id=${crossBorder.rates[0].service_id}`);
+    assert.equal(invoice.status, 200);
+    assert.ok(invoice.body.startsWith('%PDF-'));
+
+    const { rateId, rates } = await getDomesticQuote();
+    const domestic = await call(operation, 'get', `/commercial-invoice/${rateId}?service_id=${rates[0].service_id}`);
+    assert.equal(domestic.status, 400);
+  },
+
+  'post /pickup': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const pickup = await schedulePickup(rateId, rates[0].service_id);
+    assert.equal(pickup.status, 'scheduled');
+    assert.match(pickup.confirmation_number, /^PU\d{9}$/);
+
+    const duplicate = await call(operation, 'post', '/pickup', {
+      rate_id: rateId, service_id: rates[0].service_id, date: pickup.date, ready_at: pickup.ready_at, ready_until: pickup.ready_until
+    });
+    assert.equal(duplicate.status, 409);
+  },
+
+  'get /pickups': async operation => {
+    const { status, body } = await call(operation, 'get', '/pickups?status=scheduled');
+    assert.equal(status, 200);
+    assert.ok(body.pickups.every(pickup => pickup.status === 'scheduled'));
+  },
+
+  'get /pickup/{pickup_id}': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const pickup = await schedulePickup(rateId, rates[1].service_id);
+
+    const found = await call(operation, 'get', `/pickup/${pickup.id}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.pickup.confirmation_number, pickup.confirmation_number);
+    assert.equal((await call(operation, 'get', '/pickup/unknown')).status, 404);
+  },
+
+  'patch /pickup/{pickup_id}': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const pickup = await schedulePickup(rateId, rates[2].service_id);
+
+    const updated = await call(operation, 'patch', `/pickup/${pickup.id}`, { contact_name: 'Dock 4', instructions: null });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.pickup.contact_name, 'Dock 4');
+
+    const invalid = await call(operation, 'patch', `/pickup/${pickup.id}`, { ready_at: null });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.data.ready_at, 'must not be null');
+  },
+
+  'delete /pickup/{pickup_id}': async operation => {
+    const { rateId, rates } = await quote(RATE_REQUEST);
+    const pickup = await schedulePickup(rateId, rates[0].service_id);
+
+    const cancelled = await call(operation, 'delete', `/pickup/${pickup.id}`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.pickup.status, 'cancelled');
+    assert.equal((await call(operation, 'delete', `/pickup/${pickup.id}`)).status, 409);
+  },
+
+  'get /tracking/{carrier}/{tracking_number}': async operation => {
+    const { rateId, rates } = await quote(RATE_REQUEST);
+    const { body: { shipment } } = await call(operationFor('post', '/shipment'), 'post', '/shipment', { rate_id: rateId, service_id: rates[0].service_id });
+
+    const tracking = await call(operation, 'get', `/tracking/${slug(shipment.carrier_name)}/${shipment.primary_tracking_number}`);
+    assert.equal(tracking.status, 200);
+    assert.equal(tracking.body.events[0].type, 'label_created');
+    assert.equal((await call(operation, 'get', `/tracking/${slug(shipment.carrier_name)}/NOTREAL`)).status, 404);
+  },
+
+  'post /webhooks': async operation => {
+    const created = await call(operation, 'post', '/webhooks', { url: receiverUrl });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+
+    const invalid = await call(operation, 'post', '/webhooks', { url: 'ftp://example.com', events: ['rate.created'] });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.data).sort(), ['events', 'url']);
+    await call(operationFor('delete', '/webhooks/{webhook_id}'), 'delete', `/webhooks/${created.body.id}`);
+  },
+
+  'get /webhooks': async operation => {
+    const { body: { id } } = await call(operationFor('post', '/webhooks'), 'post', '/webhooks', { url: receiverUrl });
+    const { status, body } = await call(operation, 'get', '/webhooks');
+    assert.equal(status, 200);
+    assert.ok(body.webhooks.some(webhook => webhook.id === id && webhook.secret === undefined), 'the secret is only shown on creation');
+    await call(operationFor('delete', '/webhooks/{webhook_id}'), 'delete', `/webhooks/${id}`);
+  },
+
+  'delete /webhooks/{webhook_id}': async operation => {
+    const { body: { id } } = await call(operationFor('post', '/webhooks'), 'post', '/webhooks', { url: receiverUrl });
+    assert.equal((await call(operation, 'delete', `/webhooks/${id}`)).status, 200);
+    assert.equal((await call(operation, 'delete', `/webhooks/${id}`)).status, 404);
+  },
+
+  'get /webhooks/{webhook_id}/deliveries': async operation => {
+    const { body: { id } } = await call(operationFor('post', '/webhooks'), 'post', '/webhooks', { url: receiverUrl });
+    await quote(RATE_REQUEST);
+    let deliveries = [];
+    for (let attempt = 0; attempt < 20 && !deliveries.some(delivery => delivery.status === 'delivered'); attempt++) {
+      deliveries = (await call(operation, 'get', `/webhooks/${id}/deliveries`)).body.deliveries;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(deliveries[0].event, 'rate.completed');
+    assert.equal(deliveries[0].status, 'delivered');
+
+    await call(operationFor('delete', '/webhooks/{webhook_id}'), 'delete', `/webhooks/${id}`);
+    assert.equal((await call(operation, 'get', '/webhooks/unknown/deliveries')).status, 404);
+  },
+
+  'get /admin': async operation => {
+    const { status, body } = await call(operation, 'get', '/admin');
+    assert.equal(status, 200);
+    assert.match(body, /<html/i);
+  },
+
+  'get /admin/scenario': async operation => {
+    const { status, body } = await call(operation, 'get', '/admin/scenario');
+    assert.equal(status, 200);
+    assert.ok(body.available.some(scenario => scenario.name === 'slow'));
+  },
+
+  'post /admin/scenario': async operation => {
+    const set = await call(operation, 'post', '/admin/scenario', { name: 'carrier_errors', seed: 7 });
+    assert.equal(set.status, 200);
+    assert.equal(set.body.active.name, 'carrier_errors');
+    assert.equal(set.body.active.seed, 7);
+    await call(operationFor('delete', '/admin/scenario'), 'delete', '/admin/scenario');
+
+    const unknown = await call(operation, 'post', '/admin/scenario', { name: 'meteor' });
+    assert.equal(unknown.status, 400);
+  },
+
+  'delete /admin/scenario': async operation => {
+    const { status, body } = await call(operation, 'delete', '/admin/scenario');
+    assert.equal(status, 200);
+    assert.equal(body.active, null);
+  },
+
+  'get /admin/rate-requests': async operation => {
+    const { rateId } = await getDomesticQuote();
+    const { status, body } = await call(operation, 'get', `/admin/rate-requests?status=completed&q=${rateId}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body.rate_requests.map(summary => summary.id), [rateId]);
+  },
+
+  'delete /admin/rate-requests': async operation => {
+    await getDomesticQuote();
+    const { status, body } = await call(operation, 'delete', '/admin/rate-requests');
+    assert.equal(status, 200);
+    assert.ok(body.deleted > 0);
+    domesticQuote = null;
+  },
+
+  'get /admin/rate-requests/{id}': async operation => {
+    const { rateId, rates } = await getDomesticQuote();
+    const { status, body } = await call(operation, 'get', `/admin/rate-requests/${rateId}`);
+    assert.equal(status, 200);
+    assert.equal(body.pricing.length, rates.length);
+    assert.ok(body.pricing.every(breakdown => breakdown.balanced), 'every rate\'s lines add up to its total');
+    assert.equal((await call(operation, 'get', '/admin/rate-requests/unknown')).status, 404);
+  },
+
+  'delete /admin/rate-requests/{id}': async operation => {
+    const { body: { request_id } } = await call(operationFor('post', '/rate'), 'post', '/rate', RATE_REQUEST);
+    const deleted = await call(operation, 'delete', `/admin/rate-requests/${request_id}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.id, request_id);
+    assert.equal((await call(operation, 'delete', `/admin/rate-requests/${request_id}`)).status, 404);
+  }
+};
+
+test('every route the app registers is in the OpenAPI document', () => {
+  const registered = app.router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+  const documented = Object.entries(document.paths).flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`));
+
+  assert.deepEqual([...registered].sort(), [...documented].sort());
+});
+
+// One test per documented operation - an operation without an example fails rather than going untested
+Object.entries(document.paths).forEach(([path, operations]) => {
+  Object.entries(operations).forEach(([method, operation]) => {
+    const key = `${method} ${path}`;
+    test(`${method.toUpperCase()} ${path} matches the OpenAPI document`, async () => {
+      assert.ok(examples[key], `no contract example for ${key}`);
+      await examples[key](operation);
+    });
+  });
+});
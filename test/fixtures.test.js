@@ -0,0 +1,77 @@
+// Fixture replay: recorded responses come back verbatim, and files that aren't fixtures are skipped rather than fatal
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'replay';
+process.env.FIXTURES_DIR = fixturesDir;
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const errors = [];
+console.error = message => errors.push(message);
+const app = require('../server');
+
+const REQUEST = {
+  details: {
+    packaging_type: 'package',
+    destination: { address: { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' } },
+    packaging_properties: { packages: [{ measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } }] }
+  }
+};
+const RESPONSE = { status: { done: true, total: 1, complete: 1 }, rates: [], failures: [{ service_id: 'CP_REGULAR', message: 'No rate available' }] };
+
+fs.writeFileSync(path.join(fixturesDir, 'toronto.json'), JSON.stringify({ name: 'toronto', request: REQUEST, response: RESPONSE }));
+fs.writeFileSync(path.join(fixturesDir, 'truncated.json'), '{ "name": "truncated", "request": {');
+fs.writeFileSync(path.join(fixturesDir, 'list.json'), JSON.stringify([{ name: 'list' }]));
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+async function replay(body, fixtureName) {
+  const headers = { 'Content-Type': 'application/json', ...(fixtureName ? { 'X-Fixture-Name': fixtureName } : {}) };
+  const accepted = await fetch(`${baseUrl}/rate`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: accepted.status, body: await accepted.json() };
+}
+
+test('files that aren\'t fixtures are skipped and logged', () => {
+  errors.length = 0;
+  const fixtures = app.readFixtures();
+
+  assert.deepEqual(fixtures.map(fixture => fixture.name), ['toronto']);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^❌ Skipping unreadable fixture list\.json: expected an object with a name, request and response$/);
+  assert.match(errors[1], /^❌ Skipping unreadable fixture truncated\.json: /);
+});
+
+test('a request with a recorded body replays the recorded response', async () => {
+  const accepted = await replay(REQUEST);
+  assert.equal(accepted.status, 202);
+
+  const progress = await (await fetch(`${baseUrl}/rate/${accepted.body.request_id}`)).json();
+  assert.deepEqual(progress, RESPONSE);
+});
+
+test('a fixture can be picked by name, and a missing one is a 404', async () => {
+  assert.equal((await replay({ ...REQUEST, currency: 'USD' }, 'toronto')).status, 202);
+
+  const missing = await replay(REQUEST, 'truncated');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.data.fixture, 'no fixture with this X-Fixture-Name');
+});
@@ -0,0 +1,178 @@
+// Pricing engine: freight classes, quantity scaling, units, lanes, accessorials, residential surcharges, LTL minimums
+// and cross-border taxes
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The engine logs every step - keep the test output to the results
+console.log = () => {};
+const {
+  analyzeShipmentData, calculateFreightClass, calculateLane, generateParcelRates, generateLTLRates, calculateWeightBasedRates
+} = require('../server');
+const carriers = ['canada-post', 'purolator', 'day-ross', 'purolator-freight'].map(name => require(`../config/carriers/${name}.json`));
+const services = new Map(carriers.flatMap(carrier => carrier.services).map(service => [service.id.toUpperCase(), service]));
+
+const ORIGIN = { city: 'Concord', region: 'ON', country: 'CA', postal_code: 'L4K2C6' };
+const DESTINATION = { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' };
+const lane = calculateLane(ORIGIN, DESTINATION);
+
+const box = (weight, l, w, h, quantity = 1) => ({
+  quantity,
+  measurements: { weight: { unit: 'lb', value: weight }, cuboid: { unit: 'in', l, w, h } }
+});
+const line = (rate, type) => rate.surcharges.find(surcharge => surcharge.type === type);
+const cents = amount => parseInt(amount.value);
+
+test('freight class follows the density boundaries', () => {
+  const boundaries = [
+    [50, '50'], [35, '55'], [30, '60'], [22.5, '65'], [15, '70'], [13.5, '77.5'], [12, '85'], [10.5, '92.5'],
+    [9, '100'], [8, '110'], [7, '125'], [6, '150'], [5, '175'], [4, '200'], [3, '250'], [2, '300'], [1, '400']
+  ];
+  boundaries.forEach(([density, freightClass], i) => {
+    assert.equal(calculateFreightClass(density), freightClass, `density ${density}`);
+    const below = i + 1 < boundaries.length ? boundaries[i + 1][1] : '500';
+    assert.equal(calculateFreightClass(density - 0.01), below, `density just under ${density}`);
+  });
+  assert.equal(calculateFreightClass(0.5), '500');
+});
+
+test('package weight and volume scale with quantity', () => {
+  const one = analyzeShipmentData({ packages: [box(10, 12, 12, 12)] }, 'package');
+  const four = analyzeShipmentData({ packages: [box(10, 12, 12, 12, 4)] }, 'package');
+
+  assert.equal(one.actualWeight, 10);
+  assert.equal(one.totalVolume, 1);
+  assert.equal(four.actualWeight, 40);
+  assert.equal(four.totalVolume, 4);
+  assert.equal(four.itemCount, 4);
+  assert.equal(four.density, one.density);
+});
+
+test('pallet weight is the line total while volume scales with quantity', () => {
+  const pallets = { pallets: [{ quantity: 2, measurements: { weight: { unit: 'lb', value: 1000 }, cuboid: { unit: 'in', l: 48, w: 40, h: 36 } } }] };
+  const data = analyzeShipmentData(pallets, 'pallet');
+
+  assert.equal(data.actualWeight, 1000);
+  assert.equal(data.totalVolume, 80);
+  assert.equal(data.itemCount, 2);
+});
+
+test('metric measurements price the same as their imperial equivalents', () => {
+  const imperial = { packages: [box(10, 12, 10, 8, 2)] };
+  const metric = { packages: [{ quantity: 2, measurements: { weight: { unit: 'kg', value: 10 / 2.20462262 }, cuboid: { unit: 'cm', l: 30.48, w: 25.4, h: 20.32 } } }] };
+
+  const totals = properties => calculateWeightBasedRates('package', ORIGIN, DESTINATION, properties)
+    .map(rate => [rate.service_id, rate.total.value]).sort();
+  assert.deepEqual(totals(metric), totals(imperial));
+});
+
+test('large light boxes bill dimensional weight with the service divisor', () => {
+  const rates = generateParcelRates(analyzeShipmentData({ packages: [box(5, 24, 24, 24)] }, 'package'), lane, { residential: false });
+
+  rates.forEach(rate => {
+    const divisor = services.get(rate.service_id).dim_divisor;
+    const inchesPerPound = divisor.unit === 'in3/lb' ? divisor.value : divisor.value / (2.54 ** 3 * 2.20462262);
+    const expected = Math.round(24 * 24 * 24 / inchesPerPound * 100) / 100;
+    assert.equal(rate.measurements_used.dimensional_weight.value, expected, rate.service_id);
+    assert.equal(rate.measurements_used.billable_weight.value, expected, rate.service_id);
+    assert.ok(line(rate, 'dimensional_weight'), `${rate.service_id} has a dimensional weight surcharge`);
+  });
+});
+
+test('residential delivery adds the multiplier and the residential fee', () => {
+  const data = analyzeShipmentData({ packages: [box(10, 12, 10, 8)] }, 'package');
+  const commercial = generateParcelRates(data, lane, { residential: false });
+  const residential = generateParcelRates(data, lane, { residential: true });
+
+  commercial.forEach(rate => {
+    const service = services.get(rate.service_id);
+    const home = residential.find(r => r.service_id === rate.service_id);
+
+    assert.equal(line(rate, 'residential'), undefined);
+    assert.equal(cents(line(home, 'residential').amount), service.residential_fee);
+    assert.equal(cents(home.base), Math.round(cents(rate.base) * service.residential_multiplier));
+    assert.ok(cents(home.total) > cents(rate.total), `${rate.service_id} costs more to a residence`);
+  });
+});
+
+test('small LTL shipments are brought up to the minimum charge', () => {
+  const data = analyzeShipmentData({ pallets: [{ measurements: { weight: { unit: 'lb', value: 40 }, cuboid: { unit: 'in', l: 12, w: 12, h: 12 } } }] }, 'pallet');
+  const rates = generateLTLRates(data, lane, { residential: false });
+
+  assert.ok(rates.length > 0);
+  rates.forEach(rate => {
+    const minimum = services.get(rate.service_id).minimum;
+    const parts = cents(rate.base) + rate.surcharges.reduce((sum, surcharge) => sum + cents(surcharge.amount), 0);
+
+    assert.equal(cents(rate.total), minimum, rate.service_id);
+    assert.ok(line(rate, 'minimum_charge'), `${rate.service_id} has a minimum_charge line`);
+    assert.equal(parts, cents(rate.total), `${rate.service_id} lines add up to the total`);
+  });
+});
+
+test('LTL rates above the minimum carry no minimum charge line', () => {
+  const data = analyzeShipmentData({ pallets: [{ measurements: { weight: { unit: 'lb', value: 900 }, cuboid: { unit: 'in', l: 48, w: 40, h: 40 } } }] }, 'pallet');
+
+  generateLTLRates(data, lane, { residential: false }).forEach(rate => {
+    assert.equal(line(rate, 'minimum_charge'), undefined, rate.service_id);
+    assert.equal(rate.measurements_used.freight_class, '70', rate.service_id);
+  });
+});
+
+test('sales tax is charged on the freight, not on duties and brokerage', () => {
+  const buffalo = { address_line_1: '1 Main St', city: 'Buffalo', region: 'NY', country: 'US', postal_code: '14201' };
+  const properties = {
+    packages: [{ ...box(10, 12, 10, 8, 2), description: 'Planters', hs_code: '3924.90', declared_value: 100, country_of_origin: 'CN' }]
+  };
+  const rates = calculateWeightBasedRates('package', buffalo, DESTINATION, properties);
+
+  assert.ok(rates.length > 0);
+  rates.forEach(rate => {
+    const duties = line(rate, 'duties');
+    const brokerage = line(rate, 'brokerage');
+    const hst = rate.taxes.find(tax => tax.type === 'hst');
+    const freight = cents(rate.base) + rate.surcharges
+      .filter(surcharge => surcharge !== duties && surcharge !== brokerage)
+      .reduce((sum, surcharge) => sum + cents(surcharge.amount), 0);
+
+    assert.equal(cents(duties.amount), 1000, `${rate.service_id} duties are 5% of the declared value`);
+    assert.ok(brokerage, `${rate.service_id} has a brokerage line`);
+    assert.equal(cents(hst.amount), Math.round(freight * 0.13), `${rate.service_id} HST is on the freight only`);
+    assert.equal(cents(rate.total), freight + cents(hst.amount) + cents(duties.amount) + cents(brokerage.amount), `${rate.service_id} lines add up to the total`);
+  });
+});
+
+test('the origin decides the lane, and the lane the zone and price', () => {
+  const calgary = { city: 'Calgary', region: 'AB', country: 'CA', postal_code: 'T2C0A1' };
+  const properties = { packages: [box(10, 12, 10, 8)] };
+  const fromConcord = calculateWeightBasedRates('package', ORIGIN, DESTINATION, properties);
+  const fromCalgary = calculateWeightBasedRates('package', calgary, DESTINATION, properties);
+
+  assert.ok(lane.distanceKm < 50, `Concord to Toronto is local (${lane.distanceKm} km)`);
+  assert.ok(calculateLane(calgary, DESTINATION).distanceKm > 2500);
+  fromConcord.forEach(rate => {
+    const far = fromCalgary.find(r => r.service_id === rate.service_id);
+    assert.notEqual(far.zone.zone, rate.zone.zone, rate.service_id);
+    assert.ok(cents(far.base) > cents(rate.base), `${rate.service_id} costs more from Calgary`);
+    assert.ok(far.transit_time_days >= rate.transit_time_days, `${rate.service_id} takes at least as long from Calgary`);
+  });
+});
+
+test('accessorials add a line each and drop the carriers that can\'t provide them', () => {
+  const properties = { packages: [box(10, 12, 10, 8)] };
+  const plain = calculateWeightBasedRates('package', ORIGIN, DESTINATION, properties);
+  const hazmat = calculateWeightBasedRates('package', ORIGIN, DESTINATION, properties, ['dangerous_goods', 'signature_required']);
+
+  assert.ok(hazmat.length > 0 && hazmat.length < plain.length);
+  hazmat.forEach(rate => {
+    const { accessorials } = carriers.find(carrier => carrier.services.some(service => service.id.toUpperCase() === rate.service_id));
+    const before = plain.find(r => r.service_id === rate.service_id);
+
+    assert.equal(cents(line(rate, 'dangerous_goods').amount), accessorials.dangerous_goods);
+    assert.equal(cents(line(rate, 'signature_required').amount), accessorials.signature_required);
+    assert.ok(cents(rate.total) > cents(before.total) + accessorials.dangerous_goods, `${rate.service_id} is taxed on its accessorials too`);
+  });
+});
@@ -0,0 +1,224 @@
+// Rate requests: incremental completion, currencies, sort_by orders, shopping rules, delivery estimates, optimize mode
+// and seeded scenarios
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+
+const path = require('path');
+const { execFile } = require('child_process');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const app = require('../server');
+
+const TORONTO = { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' };
+const VANCOUVER = { address_line_1: '1 Main St', city: 'Vancouver', region: 'BC', country: 'CA', postal_code: 'V6B1A1' };
+
+const rateRequest = (destination, packages, options = {}) => ({
+  ...options,
+  details: {
+    packaging_type: 'package',
+    destination: { address: destination },
+    packaging_properties: { packages },
+    ...options.details
+  }
+});
+const boxes = (quantity, weight, l, w, h) => [{ quantity, description: 'Deck tiles', measurements: { weight: { unit: 'lb', value: weight }, cuboid: { unit: 'in', l, w, h } } }];
+const cents = amount => parseInt(amount.value);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// POST a rate request and poll until every service has answered
+async function quote(body) {
+  const accepted = await fetch(`${baseUrl}/rate`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  assert.equal(accepted.status, 202);
+  const { request_id } = await accepted.json();
+
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const progress = await (await fetch(`${baseUrl}/rate/${request_id}`)).json();
+    if (progress.status.done) return progress;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`rate request ${request_id} did not complete`);
+}
+
+test('rates appear as each carrier answers', async () => {
+  const accepted = await fetch(`${baseUrl}/rate`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8))) });
+  const { request_id } = await accepted.json();
+
+  const seen = [];
+  let progress;
+  do {
+    progress = await (await fetch(`${baseUrl}/rate/${request_id}`)).json();
+    seen.push(progress.status.complete);
+    assert.equal(progress.rates.length + progress.failures.length, progress.status.complete);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  } while (!progress.status.done);
+
+  assert.equal(seen[0], 0, 'no carrier answers straight away');
+  assert.deepEqual(seen, [...seen].sort((a, b) => a - b));
+  assert.equal(progress.status.complete, progress.status.total);
+});
+
+test('rates can be quoted in another currency', async () => {
+  const cad = await quote(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8)));
+  const usd = await quote(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8), { currency: 'usd' }));
+
+  usd.rates.forEach(rate => {
+    const original = cad.rates.find(r => r.service_id === rate.service_id);
+    const lines = [rate.base, ...rate.surcharges.map(s => s.amount), ...rate.taxes.map(t => t.amount)];
+
+    assert.equal(rate.exchange_rate.from, 'CAD');
+    assert.equal(rate.exchange_rate.to, 'USD');
+    assert.ok(lines.every(amount => amount.currency === 'USD'), `${rate.service_id} lines are all in USD`);
+    assert.equal(lines.reduce((sum, amount) => sum + cents(amount), 0), cents(rate.total), `${rate.service_id} lines add up to the total`);
+    assert.ok(Math.abs(cents(rate.total) - cents(original.total) * rate.exchange_rate.rate) <= lines.length, rate.service_id);
+  });
+});
+
+test('sort_by transit puts the fastest first, cheapest first among equals', async () => {
+  const { rates } = await quote(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8), { sort_by: 'transit' }));
+
+  assert.ok(rates.length > 1);
+  rates.slice(1).forEach((rate, i) => {
+    const previous = rates[i];
+    assert.ok(previous.transit_time_days <= rate.transit_time_days, `${previous.service_id} before ${rate.service_id}`);
+    if (previous.transit_time_days === rate.transit_time_days) {
+      assert.ok(cents(previous.total) <= cents(rate.total), `${previous.service_id} is cheaper than ${rate.service_id}`);
+    }
+  });
+});
+
+test('sort_by value scores each rate on price and speed, best first', async () => {
+  const { rates } = await quote(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8), { sort_by: 'value' }));
+  const cheapest = Math.min(...rates.map(rate => cents(rate.total)));
+  const fastest = Math.min(...rates.map(rate => rate.transit_time_days));
+
+  rates.forEach(rate => {
+    const expected = Math.round(100 * (0.7 * cheapest / cents(rate.total) + 0.3 * fastest / rate.transit_time_days));
+    assert.equal(rate.value_score, expected, rate.service_id);
+  });
+  const scores = rates.map(rate => rate.value_score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('delivery estimates skip weekends and the destination\'s holidays', async () => {
+  // Christmas Eve 2026 is a Thursday; Christmas is Friday and Ontario observes Boxing Day on Monday the 28th
+  const { rates } = await quote(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8), { details: { expected_ship_date: { year: 2026, month: 12, day: 24 } } }));
+  const byTransit = days => rates.filter(rate => rate.transit_time_days === days);
+
+  assert.ok(byTransit(1).length > 0);
+  byTransit(1).forEach(rate => assert.deepEqual(rate.estimated_delivery_date, { year: 2026, month: 12, day: 29 }, rate.service_id));
+  byTransit(2).forEach(rate => assert.deepEqual(rate.estimated_delivery_date, { year: 2026, month: 12, day: 30 }, rate.service_id));
+});
+
+test('shopping rules turn the rates that break them into failures saying why', async () => {
+  const packages = boxes(2, 10, 12, 10, 8);
+  const all = await quote(rateRequest(TORONTO, packages));
+
+  const guaranteed = await quote(rateRequest(TORONTO, packages, { guaranteed_only: true }));
+  assert.ok(guaranteed.rates.length > 0);
+  assert.ok(guaranteed.rates.every(rate => rate.guaranteed));
+  assert.deepEqual(
+    guaranteed.failures.map(failure => failure.service_id).sort(),
+    all.rates.filter(rate => !rate.guaranteed).map(rate => rate.service_id).sort()
+  );
+  guaranteed.failures.forEach(failure => assert.match(failure.message, /is not a guaranteed service$/));
+
+  const fastest = Math.min(...all.rates.map(rate => rate.transit_time_days));
+  const quick = await quote(rateRequest(TORONTO, packages, { max_transit_days: fastest }));
+  assert.ok(quick.rates.every(rate => rate.transit_time_days === fastest));
+  quick.failures.forEach(failure => assert.match(failure.message, /is over max_transit_days/));
+
+  const cheapest = all.rates[0];
+  const capped = await quote(rateRequest(TORONTO, packages, { max_price: cheapest.total }));
+  assert.deepEqual(capped.rates.map(rate => rate.service_id), all.rates.filter(rate => cents(rate.total) === cents(cheapest.total)).map(rate => rate.service_id));
+  assert.equal(capped.failures.length, all.rates.length - capped.rates.length);
+  capped.failures.forEach(failure => assert.match(failure.message, /is over max_price/));
+});
+
+test('optimize mode builds pallets and recommends LTL when it is cheaper', async () => {
+  // 30 boxes of 2.7 ft³: 23 fill a 48x40 pallet to the height limit, the other 7 go on a second one
+  const progress = await quote(rateRequest(VANCOUVER, boxes(30, 50, 24, 16, 12), { optimize_mode: true }));
+  const { recommendation } = progress;
+
+  assert.ok(progress.rates.some(rate => rate.service_id === 'CP_REGULAR'), 'parcel services are still quoted');
+  assert.equal(recommendation.mode, 'ltl');
+  assert.equal(recommendation.alternative.mode, 'parcel');
+  assert.equal(cents(recommendation.savings), cents(recommendation.alternative.total) - cents(recommendation.total));
+
+  const { pallets, unpalletizable_lines } = recommendation.packing_plan;
+  assert.deepEqual(unpalletizable_lines, []);
+  assert.deepEqual(pallets.map(pallet => pallet.pieces), [23, 7]);
+  assert.deepEqual(pallets.map(pallet => pallet.weight.value), [23 * 50 + 50, 7 * 50 + 50], 'box weight plus the pallet');
+  pallets.forEach(pallet => assert.ok(pallet.dimensions.h <= 72, `pallet ${pallet.number} is under the height limit`));
+});
+
+test('optimize mode sticks with parcel for a small shipment', async () => {
+  const { recommendation } = await quote(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8), { optimize_mode: true }));
+
+  assert.equal(recommendation.mode, 'parcel');
+  assert.equal(recommendation.packing_plan, null);
+});
+
+test('optimize mode reports boxes that don\'t fit on a pallet', async () => {
+  const progress = await quote(rateRequest(TORONTO, [...boxes(2, 10, 12, 10, 8), ...boxes(1, 60, 96, 12, 12)], { optimize_mode: true }));
+  const ltl = progress.failures.filter(failure => failure.message.startsWith('Line(s) 2 don\'t fit'));
+
+  assert.deepEqual(ltl.map(failure => failure.service_id).sort(), ['DR_LTL_EXP', 'DR_LTL_STD', 'PUR_LTL']);
+  assert.equal(progress.recommendation.mode, 'parcel');
+});
+
+test('an unknown X-Mock-Scenario is rejected', async () => {
+  const response = await fetch(`${baseUrl}/carriers`, { headers: { 'X-Mock-Scenario': 'meteor' } });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.match(body.data['X-Mock-Scenario'], /^must be one of: none, /);
+});
+
+// Quote once in a fresh server process under a scenario and seed, listing what each service answered
+function quoteInFreshProcess(scenario, seed) {
+  const script = `
+    process.env.AUTH_ENABLED = 'false';
+    process.env.STORAGE_BACKEND = 'memory';
+    process.env.FIXTURE_MODE = 'off';
+    const write = console.log;
+    console.log = () => {};
+    const app = require(${JSON.stringify(path.join(__dirname, '..', 'server'))});
+    const server = app.listen(0, async () => {
+      const base = 'http://127.0.0.1:' + server.address().port;
+      const headers = { 'Content-Type': 'application/json', 'X-Mock-Scenario': ${JSON.stringify(scenario)}, 'X-Mock-Seed': ${JSON.stringify(seed)} };
+      const body = ${JSON.stringify(JSON.stringify(rateRequest(TORONTO, boxes(2, 10, 12, 10, 8), { services: ['CP_REGULAR', 'CP_EXPEDITED', 'PUR_GROUND'] })))};
+      const { request_id } = await (await fetch(base + '/rate', { method: 'POST', headers, body })).json();
+      let progress;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 250));
+        progress = await (await fetch(base + '/rate/' + request_id, { headers })).json();
+      } while (!progress.status.done);
+      write(JSON.stringify([...progress.rates.map(rate => rate.service_id + ' ' + JSON.stringify(rate.total)), ...progress.failures.map(f => f.service_id + ' ' + f.message)].sort()));
+      process.exit(0);
+    });`;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(JSON.parse(stdout))));
+  });
+}
+
+test('the same scenario seed replays the same outcome after a restart', async () => {
+  const first = await quoteInFreshProcess('malformed_rates', '1234');
+  const second = await quoteInFreshProcess('malformed_rates', '1234');
+
+  assert.equal(first.length, 3);
+  assert.deepEqual(second, first);
+  assert.notDeepEqual(await quoteInFreshProcess('malformed_rates', '99'), first, 'another seed breaks different rates');
+});
@@ -0,0 +1,197 @@
+// After the quote: booking (and refusing malformed rates), commercial invoices, pickups and tracking timelines
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+// A simulated transit day passes in under a second
+process.env.TRACKING_TIME_ACCELERATION = '200000';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const app = require('../server');
+
+const TORONTO = { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' };
+const BUFFALO = { address_line_1: '1 Main St', city: 'Buffalo', region: 'NY', country: 'US', postal_code: '14201' };
+const BOSTON = { address_line_1: '1 Main St', city: 'Boston', region: 'MA', country: 'US', postal_code: '02108' };
+
+const box = { quantity: 2, measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } };
+const customs = { description: 'Deck tiles', hs_code: '4418.99', declared_value: { currency: 'USD', value: 60 }, country_of_origin: 'CN' };
+const rateRequest = (destination, origin) => ({
+  details: {
+    packaging_type: 'package',
+    ...(origin ? { origin: { address: origin } } : {}),
+    destination: { address: destination },
+    packaging_properties: { packages: [origin ? { ...box, ...customs } : box] }
+  }
+});
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function call(method, path, body, headers = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { ...headers, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const isJson = (response.headers.get('Content-Type') || '').startsWith('application/json');
+  return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+}
+
+// POST a rate request and poll until every service has answered
+async function quote(body, headers) {
+  const { body: { request_id } } = await call('POST', '/rate', body, headers);
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const { body: progress } = await call('GET', `/rate/${request_id}`);
+    if (progress.status.done) return { rateId: request_id, ...progress };
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`rate request ${request_id} did not complete`);
+}
+
+const addDays = (date, days) => {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day) + days * 24 * 60 * 60 * 1000);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+};
+const pickupWindow = { ready_at: { hour: 10, minute: 0 }, ready_until: { hour: 14, minute: 0 } };
+
+test('malformed rates are refused before anything is booked', async () => {
+  // The malformed-rates scenario breaks a seeded half of the rates - keep quoting until one has a negative total
+  const malformed = [];
+  for (let seed = 1; seed <= 30 && !malformed.some(rate => /^-/.test(rate.total?.value)); seed++) {
+    const { rateId, rates } = await quote(rateRequest(TORONTO), { 'X-Mock-Scenario': 'malformed_rates', 'X-Mock-Seed': String(seed) });
+    malformed.push(...rates
+      .filter(rate => rate.service_id && !(/^\d+$/.test(rate.total?.value) && rate.total.currency && Number.isInteger(rate.transit_time_days)))
+      .map(rate => ({ ...rate, rateId })));
+  }
+  assert.ok(malformed.some(rate => /^-/.test(rate.total?.value)), 'a negative total was quoted');
+
+  for (const rate of malformed) {
+    const booked = await call('POST', '/shipment', { rate_id: rate.rateId, service_id: rate.service_id });
+    assert.equal(booked.status, 400, `${rate.service_id} ${JSON.stringify(rate.total)}`);
+    assert.equal(booked.body.message, 'Quoted rate is malformed and cannot be used');
+    assert.ok(Object.keys(booked.body.data).every(field => field.startsWith('rate.')));
+    if (/^-/.test(rate.total?.value)) assert.equal(booked.body.data['rate.total.value'], 'must be a whole, non-negative number of cents');
+
+    const label = await call('GET', `/label/${rate.rateId}?service_id=${rate.service_id}`);
+    assert.equal(label.status, 400);
+  }
+});
+
+test('commercial invoices follow the request\'s own origin', async () => {
+  const intoCanada = await quote(rateRequest(TORONTO, BUFFALO));
+  const invoice = await call('GET', `/commercial-invoice/${intoCanada.rateId}?service_id=${intoCanada.rates[0].service_id}`);
+  assert.equal(invoice.status, 200);
+  assert.equal(invoice.headers.get('Content-Type'), 'application/pdf');
+  assert.ok(invoice.body.startsWith('%PDF-'));
+
+  // Within the US is domestic, even though the default origin is in Canada
+  const withinUs = await quote(rateRequest(BOSTON, BUFFALO));
+  assert.ok(withinUs.rates.length > 0);
+  const domestic = await call('GET', `/commercial-invoice/${withinUs.rateId}?service_id=${withinUs.rates[0].service_id}`);
+  assert.equal(domestic.status, 400);
+  assert.equal(domestic.body.data['details.destination.address.country'], 'must be outside US, the origin country');
+});
+
+test('pickups are refused on past dates and weekends, with the next available pickup', async () => {
+  const { rateId } = await quote(rateRequest(TORONTO));
+  const pickup = { rate_id: rateId, service_id: 'PUR_GROUND', ...pickupWindow };
+
+  const past = await call('POST', '/pickup', { ...pickup, date: { year: 2020, month: 1, day: 6 } });
+  assert.equal(past.status, 400);
+  assert.equal(past.body.data.date, 'is in the past');
+  const next = past.body.next_available_pickup;
+  assert.ok(![0, 6].includes(addDays(next.date, 0).weekday), 'the next available pickup is a weekday');
+
+  // A Saturday within the next week (Purolator takes pickups up to 10 days ahead)
+  const saturday = [1, 2, 3, 4, 5, 6, 7].map(days => addDays(next.date, days)).find(date => date.weekday === 6);
+  const weekend = await call('POST', '/pickup', { ...pickup, date: { year: saturday.year, month: saturday.month, day: saturday.day } });
+  assert.equal(weekend.status, 400);
+  assert.equal(weekend.body.data.date, 'is a Saturday - no pickups');
+  assert.deepEqual(weekend.body.next_available_pickup, next);
+
+  const narrow = await call('POST', '/pickup', { ...pickup, date: next.date, ready_at: { hour: 13, minute: 0 }, ready_until: { hour: 14, minute: 0 } });
+  assert.equal(narrow.status, 400);
+  assert.equal(narrow.body.data.ready_until, 'must be at least 120 minutes after ready_at');
+});
+
+test('pickup bodies are checked field by field, nulls included', async () => {
+  const notObject = await call('POST', '/pickup', [{ rate_id: 'x' }]);
+  assert.equal(notObject.status, 400);
+  assert.deepEqual(notObject.body.data, { body: 'must be an object' });
+
+  const nulls = await call('POST', '/pickup', { rate_id: 'x', service_id: 'PUR_GROUND', date: null, ready_at: null, ready_until: { hour: 14, minute: 0 }, contact_name: null });
+  assert.equal(nulls.status, 400);
+  assert.deepEqual(nulls.body.data, { date: 'is required', ready_at: 'is required' });
+});
+
+test('LTL pickups need a loading dock or a liftgate', async () => {
+  const { rateId, rates } = await quote({
+    details: {
+      packaging_type: 'pallet',
+      destination: { address: TORONTO },
+      packaging_properties: { pallets: [{ measurements: { weight: { unit: 'lb', value: 900 }, cuboid: { unit: 'in', l: 48, w: 40, h: 40 } } }] }
+    }
+  });
+  const { body: { next_available_pickup } } = await call('POST', '/pickup', { rate_id: rateId, service_id: rates[0].service_id, date: { year: 2020, month: 1, day: 6 }, ...pickupWindow });
+
+  const result = await call('POST', '/pickup', { rate_id: rateId, service_id: rates[0].service_id, date: next_available_pickup.date, ...pickupWindow });
+  assert.equal(result.status, 400);
+  assert.match(result.body.data.has_loading_dock, /^LTL pickups need a loading dock or a liftgate/);
+});
+
+// Poll tracking until the shipment reaches a final state
+async function trackUntilDone(shipment, headers) {
+  const carrier = shipment.carrier_name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  for (let attempt = 0; attempt < 40; attempt++) {
+    const { status, body } = await call('GET', `/tracking/${carrier}/${shipment.primary_tracking_number}`, undefined, headers);
+    assert.equal(status, 200);
+    if (['delivered', 'cancelled'].includes(body.state)) return body;
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`${shipment.primary_tracking_number} was not delivered`);
+}
+
+test('tracking follows the shipment from label to delivery', async () => {
+  const { rateId, rates } = await quote(rateRequest(TORONTO));
+  const { body: { id, shipment } } = await call('POST', '/shipment', { rate_id: rateId, service_id: rates[0].service_id });
+  assert.equal(shipment.state, 'booked');
+
+  const tracking = await trackUntilDone(shipment);
+  const types = tracking.events.map(event => event.type);
+  assert.deepEqual(types.slice(0, 3), ['label_created', 'picked_up', 'departed']);
+  assert.deepEqual(types.slice(-3), ['arrived', 'out_for_delivery', 'delivered']);
+  const times = tracking.events.map(event => Date.parse(event.when));
+  assert.deepEqual(times, [...times].sort((a, b) => a - b));
+  assert.equal(tracking.events[tracking.events.length - 1].where.city, 'Toronto');
+
+  const { body: booked } = await call('GET', `/shipment/${id}`);
+  assert.equal(booked.shipment.state, 'delivered');
+});
+
+test('tracking exceptions play out before delivery', async () => {
+  const { rateId, rates } = await quote(rateRequest(TORONTO));
+  const { body: { shipment } } = await call('POST', '/shipment', { rate_id: rateId, service_id: rates[0].service_id }, { 'X-Mock-Tracking-Exception': 'delivery_attempted' });
+
+  const types = (await trackUntilDone(shipment)).events.map(event => event.type);
+  assert.deepEqual(types.slice(-4), ['out_for_delivery', 'delivery_attempted', 'out_for_delivery', 'delivered']);
+});
+
+test('a cancelled shipment stops tracking at the label', async () => {
+  const { rateId, rates } = await quote(rateRequest(TORONTO));
+  const { body: { id, shipment } } = await call('POST', '/shipment', { rate_id: rateId, service_id: rates[0].service_id });
+  await call('DELETE', `/shipment/${id}`);
+
+  const tracking = await trackUntilDone(shipment);
+  assert.equal(tracking.state, 'cancelled');
+  assert.deepEqual(tracking.events.map(event => event.type), ['label_created', 'cancelled']);
+});
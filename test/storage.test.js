@@ -0,0 +1,73 @@
+// File storage: rate requests, shipments and webhooks outlive a restart
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+// Run steps against a fresh server process on file storage. They get `call(method, path, body)` and the
+// JSON-able args (they run in the child, so they can't close over anything here); their result comes back as JSON
+function runServer(steps, args = {}) {
+  const script = `
+    process.env.AUTH_ENABLED = 'false';
+    process.env.STORAGE_BACKEND = 'file';
+    process.env.STORAGE_DIR = ${JSON.stringify(storageDir)};
+    process.env.FIXTURE_MODE = 'off';
+    const write = console.log;
+    console.log = () => {};
+    const app = require(${JSON.stringify(path.join(__dirname, '..', 'server'))});
+    const server = app.listen(0, async () => {
+      const call = async (method, path, body) => {
+        const response = await fetch('http://127.0.0.1:' + server.address().port + path, {
+          method,
+          headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+      };
+      write(JSON.stringify(await (${steps})(call, ${JSON.stringify(args)})));
+      process.exit(0);
+    });`;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(JSON.parse(stdout))));
+  });
+}
+
+test('a restarted server still has what was stored before it stopped', async () => {
+  const before = await runServer(async call => {
+    const { body: { request_id } } = await call('POST', '/rate', {
+      details: {
+        packaging_type: 'package',
+        destination: { address: { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' } },
+        packaging_properties: { packages: [{ measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } }] }
+      },
+      services: ['CP_REGULAR']
+    });
+    let progress;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 250));
+      progress = (await call('GET', `/rate/${request_id}`)).body;
+    } while (!progress.status.done);
+
+    const { body: booked } = await call('POST', '/shipment', { rate_id: request_id, service_id: 'CP_REGULAR' });
+    const { body: webhook } = await call('POST', '/webhooks', { url: 'http://127.0.0.1:9/hook' });
+    return { requestId: request_id, rates: progress.rates, shipmentId: booked.id, webhookId: webhook.id };
+  });
+
+  const afterRestart = await runServer(async (call, { requestId, shipmentId }) => ({
+    rate: await call('GET', `/rate/${requestId}`),
+    shipment: await call('GET', `/shipment/${shipmentId}`),
+    webhooks: (await call('GET', '/webhooks')).body.webhooks
+  }), before);
+
+  assert.equal(afterRestart.rate.status, 200);
+  assert.deepEqual(afterRestart.rate.body.rates, before.rates);
+  assert.equal(afterRestart.shipment.status, 200);
+  assert.equal(afterRestart.shipment.body.shipment.rate_id, before.requestId);
+  assert.deepEqual(afterRestart.webhooks.map(webhook => webhook.id), [before.webhookId]);
+});
@@ -0,0 +1,121 @@
+// Webhooks: signed rate.completed deliveries, retried with backoff until the receiver accepts or attempts run out
+process.env.AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.FIXTURE_MODE = 'off';
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const http = require('http');
+const crypto = require('crypto');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+console.log = () => {};
+const app = require('../server');
+
+const RATE_REQUEST = {
+  details: {
+    packaging_type: 'package',
+    destination: { address: { address_line_1: '1 Main St', city: 'Toronto', region: 'ON', country: 'CA', postal_code: 'M5V2T6' } },
+    packaging_properties: {
+      packages: [{ measurements: { weight: { unit: 'lb', value: 10 }, cuboid: { unit: 'in', l: 12, w: 10, h: 8 } } }]
+    }
+  },
+  services: ['CP_REGULAR']
+};
+
+let server;
+let baseUrl;
+let receiver;
+let receiverUrl;
+// Status codes each receiver path answers with, in turn (200 once they run out), and what it was sent
+const responses = {};
+const received = [];
+
+before(async () => {
+  server = app.listen(0);
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = (responses[req.url] || []).shift() || 200;
+      res.end();
+    });
+  }).listen(0);
+  await Promise.all([server, receiver].map(s => new Promise(resolve => s.once('listening', resolve))));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(() => {
+  server.close();
+  receiver.close();
+});
+
+async function call(method, path, body) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Register a webhook, quote once and wait for its delivery to settle (the webhook is removed afterwards)
+async function deliverRateCompleted(path) {
+  const { body: webhook } = await call('POST', '/webhooks', { url: receiverUrl + path });
+  const { body: { request_id } } = await call('POST', '/rate', RATE_REQUEST);
+
+  for (let attempt = 0; attempt < 60; attempt++) {
+    const { body: { deliveries } } = await call('GET', `/webhooks/${webhook.id}/deliveries`);
+    if (deliveries.length > 0 && ['delivered', 'failed'].includes(deliveries[0].status)) {
+      await call('DELETE', `/webhooks/${webhook.id}`);
+      return { webhook, requestId: request_id, delivery: deliveries[0] };
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`delivery to ${path} did not settle`);
+}
+
+test('deliveries are signed with the webhook secret', async () => {
+  const { webhook, requestId, delivery } = await deliverRateCompleted('/signed');
+  const request = received.find(r => r.path === '/signed');
+
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(request.headers['x-freightcom-event'], 'rate.completed');
+  assert.equal(request.headers['x-freightcom-delivery'], delivery.id);
+
+  const { t, v1 } = Object.fromEntries(request.headers['x-freightcom-signature'].split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', webhook.secret).update(`${t}.${request.body}`).digest('hex');
+  assert.equal(v1, expected);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60, 'the timestamp is current');
+
+  const event = JSON.parse(request.body);
+  assert.equal(event.type, 'rate.completed');
+  assert.equal(event.data.request_id, requestId);
+  assert.equal(event.data.status.done, true);
+  assert.deepEqual(event.data.rates.map(rate => rate.service_id), ['CP_REGULAR']);
+});
+
+test('failed deliveries are retried with backoff until the receiver accepts', async () => {
+  responses['/flaky'] = [500, 503];
+  const { delivery } = await deliverRateCompleted('/flaky');
+
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.status_code), [500, 503, 200]);
+  assert.equal(delivery.attempts[0].error, 'Receiver responded with 500');
+  const gaps = delivery.attempts.slice(1).map((attempt, i) => Date.parse(attempt.at) - Date.parse(delivery.attempts[i].at));
+  assert.ok(gaps[0] >= 20 && gaps[1] >= 40, `waits double between attempts (${gaps.join(', ')}ms)`);
+  assert.equal(received.filter(r => r.path === '/flaky').length, 3);
+});
+
+test('deliveries give up after WEBHOOK_MAX_ATTEMPTS', async () => {
+  responses['/down'] = [500, 500, 500, 500];
+  const { delivery } = await deliverRateCompleted('/down');
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 3);
+  assert.equal(delivery.next_attempt_at, null);
+  assert.equal(received.filter(r => r.path === '/down').length, 3);
+});